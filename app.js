@@ -1,138 +1,797 @@
 const express = require('express');
-const axios = require('axios');
-const cheerio = require('cheerio');
 const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { loadConfig, withDefaults } = require('./lib/config');
+const { RuleError, compileRules } = require('./lib/rules');
+const { ProxyError } = require('./lib/errors');
+const { validateSelectors } = require('./lib/textReplacer');
+const { normalizeUrl, transformHtml, fetchAndTransform } = require('./lib/transform');
+const { fetchUpstream } = require('./lib/upstream');
+const { createGuard } = require('./lib/ssrf');
+const { detectCharset, decodeBody } = require('./lib/charset');
+const { rewriteCssUrls } = require('./lib/css');
+const { FORM_TARGET_PARAM } = require('./lib/urls');
+const {
+  SESSION_COOKIE, parseCookieHeader, createCookieJar, createSessionStore, listCookies, clearCookies
+} = require('./lib/sessions');
+const { createCache } = require('./lib/cache');
+const {
+  DEFAULT_ASSET_RATE_LIMIT, rateLimitedError, createRateLimiter, createConcurrencyLimiter
+} = require('./lib/rateLimit');
+const {
+  isAllowedDomain, createKeyStore, quotaExceededError, domainNotAllowedError
+} = require('./lib/apiKeys');
+const { createPolicy } = require('./lib/policy');
 
-const app = express();
 const PORT = 3001;
 
-// Middleware to parse request bodies
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(express.static(path.join(__dirname, 'public')));
-
-// Add Content Security Policy middleware
-app.use((req, res, next) => {
-  res.setHeader(
-    'Content-Security-Policy',
-    "default-src 'self'; script-src 'self' https://cdnjs.cloudflare.com 'unsafe-inline'; style-src 'self' 'unsafe-inline'; frame-src 'self'; img-src * data:;"
-  );
-  next();
-});
-
-// Route to serve the main page
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
-
-// API endpoint to fetch and modify content
-app.post('/fetch', async (req, res) => {
+// Largest request body accepted, which bounds the HTML sent to /transform
+const BODY_LIMIT = '5mb';
+
+// Pages served by /proxy run in an opaque-origin sandbox without scripts, so
+// nothing in them can reach the Faleproxy origin, but they may load their
+// images, styles and fonts from anywhere
+const PROXY_CSP = "sandbox allow-forms allow-popups allow-popups-to-escape-sandbox; default-src * data: blob: 'unsafe-inline'";
+
+// /form query parameter (or hidden input, for GET forms) that keeps asset
+// proxying on for the page a form submission returns
+const FORM_ASSETS_PARAM = 'faleproxy_assets';
+
+// Assets are served from this origin, so anything that could run as a page
+// (HTML, SVG opened directly) is sandboxed and may only load passive content
+const ASSET_CSP = "sandbox; default-src 'none'; img-src * data:; media-src *; font-src * data:; style-src * 'unsafe-inline'";
+
+// Faleproxy's own pages: the web UI and the pages it proxies. Requests
+// from them may use the API key their session signed in with.
+const OWN_PAGES = ['/', '/index.html', '/proxy', '/form'];
+
+// Upstream headers passed on with proxied assets. Content-Length and
+// Content-Encoding are left out because the body may be decompressed or
+// rewritten on the way through; cookies never leave the proxy.
+const ASSET_HEADERS = ['content-type', 'cache-control', 'etag', 'last-modified', 'expires', 'content-language'];
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Absolute URL of a route on this server, as seen by the browser. Needed in
+// rewritten pages, whose <base> points at the original site.
+function routeUrl(req, route) {
+  return `${req.protocol}://${req.get('host')}${route}`;
+}
+
+function isHttpUrl(value) {
   try {
-    let { url } = req.body;
-    
-    if (!url) {
-      return res.status(400).json({ error: 'URL is required' });
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function createApp(options = loadConfig()) {
+  const app = express();
+  const config = withDefaults(options);
+  app.set('trust proxy', config.trustProxy);
+
+  // Fail at startup rather than on the first request if the config is invalid
+  compileRules(config.rules);
+  compileRules(config.keyRules);
+  validateSelectors(config.exclude);
+  Object.values(config.profiles).forEach(profile => {
+    compileRules(profile.rules || []);
+    compileRules(profile.keyRules || []);
+    validateSelectors(profile.exclude || []);
+  });
+
+  const sessions = config.sessions.enabled ? createSessionStore(config.sessions) : null;
+  const cache = config.cache.enabled ? createCache(config.cache) : null;
+  const pageLimiter = config.rateLimit.enabled ? createRateLimiter(config.rateLimit) : null;
+  const assetLimiter = config.rateLimit.enabled
+    ? createRateLimiter({ ...DEFAULT_ASSET_RATE_LIMIT, ...config.rateLimit.assets })
+    : null;
+  const concurrency = createConcurrencyLimiter(config.concurrency);
+  const policy = createPolicy(config.policy);
+  const keys = createKeyStore({
+    file: config.auth.keysFile,
+    keys: config.auth.keys,
+    profiles: config.profiles
+  });
+
+  // The rule profile a request uses: the one named by body.profile, or else
+  // the API key's first. Keys limited to some profiles can't pick others.
+  function requestProfile(req, body) {
+    const keyProfiles = req.apiKey ? req.apiKey.profiles : [];
+    const name = body.profile !== undefined ? body.profile : keyProfiles[0];
+    if (name === undefined) {
+      return {};
     }
-    
-    // Automatically add https:// if protocol is missing
-    if (!url.match(/^https?:\/\//i)) {
-      url = 'https://' + url;
+    if (typeof name !== 'string' || !Object.hasOwn(config.profiles, name)) {
+      throw new RuleError(`Unknown profile: ${name}`);
     }
+    if (keyProfiles.length > 0 && !keyProfiles.includes(name)) {
+      throw new ProxyError(`This API key may not use the ${name} profile`, {
+        status: 403,
+        code: 'PROFILE_NOT_ALLOWED'
+      });
+    }
+    return config.profiles[name];
+  }
 
-    // Fetch the content from the provided URL
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+  // Regex rules can backtrack for a very long time on crafted input and
+  // block every request, so callers may only send literal rules unless
+  // allowRequestRegex is set. Configured and profile rules are trusted.
+  function checkRequestRules(rules, field) {
+    if (config.allowRequestRegex || !Array.isArray(rules)) {
+      return;
+    }
+    const index = rules.findIndex(rule => rule && typeof rule === 'object' && rule.regex);
+    if (index !== -1) {
+      throw new RuleError(`${field} ${index} is a regex rule; only the config file and profiles may define those`);
+    }
+  }
+
+  // Combine the configured transform options, those of the request's rule
+  // profile and those sent in the request. Later rules replace earlier
+  // ones; exclude selectors are added.
+  function transformOptions(req, body) {
+    if (body.exclude !== undefined && !Array.isArray(body.exclude)) {
+      throw new RuleError('Exclude selectors must be an array');
+    }
+    checkRequestRules(body.rules, 'Rule');
+    checkRequestRules(body.keyRules, 'Key rule');
+    const profile = requestProfile(req, body);
+    const defaults = { ...config, ...profile };
+
+    return {
+      rules: body.rules !== undefined ? body.rules : defaults.rules,
+      keyRules: body.keyRules !== undefined ? body.keyRules : defaults.keyRules,
+      exclude: [...config.exclude, ...(profile.exclude || []), ...(body.exclude || [])],
+      replaceAttributes: body.replaceAttributes !== undefined
+        ? Boolean(body.replaceAttributes)
+        : Boolean(defaults.replaceAttributes),
+      replaceCssContent: body.replaceCssContent !== undefined
+        ? Boolean(body.replaceCssContent)
+        : Boolean(defaults.replaceCssContent)
+    };
+  }
+
+  // Whether links in a /fetch result should go through /proxy
+  function isNavigable(body) {
+    return body.navigable !== undefined ? Boolean(body.navigable) : Boolean(config.navigable);
+  }
+
+  // Whether subresources should load through /asset; set per request with
+  // proxyAssets (for /fetch) or assets=1 (for /proxy)
+  function proxiesAssets(value) {
+    return value !== undefined ? Boolean(value) && value !== '0' : Boolean(config.proxyAssets);
+  }
+
+  // Status and JSON body for an error thrown while fetching a page
+  function fetchErrorResponse(error) {
+    if (error instanceof RuleError) {
+      return { status: 400, body: { error: error.message } };
+    }
+    if (error instanceof ProxyError) {
+      if (error.status >= 500) {
+        console.error('Error fetching URL:', error.message);
       }
+      return { status: error.status, body: error.toJSON() };
+    }
+    console.error('Error fetching URL:', error.message);
+    return {
+      status: 500,
+      body: { error: `Failed to fetch content: ${error.message}`, code: 'INTERNAL_ERROR' }
+    };
+  }
+
+  // The caller's proxy session, or null without one. With start, a new
+  // session is started if needed.
+  function proxySession(req, res, { start = false } = {}) {
+    if (!sessions) {
+      return null;
+    }
+    const id = parseCookieHeader(req.get('Cookie'))[SESSION_COOKIE];
+    const session = id ? sessions.get(id) : null;
+    return !session && start ? startSession(req, res) : session;
+  }
+
+  // Start a session, with the cookies in jar if given, and set its cookie.
+  // The cookie must reach sandboxed proxied pages, which are cross-site, so
+  // over HTTPS it is SameSite=None.
+  function startSession(req, res, jar) {
+    const session = sessions.create(jar);
+    res.cookie(SESSION_COOKIE, session.id, {
+      httpOnly: true,
+      secure: req.secure,
+      sameSite: req.secure ? 'none' : 'lax'
     });
-    const html = response.data;
+    return session;
+  }
+
+  // The cookie jar for a request's upstream fetches: its proxy session's,
+  // or undefined without one. With start, a caller without a session gets
+  // a new jar, which keepSession turns into a session only once an upstream
+  // has set a cookie in it, so one-off API calls don't crowd browsers out
+  // of the session store. Callers with an API key never get one.
+  function sessionJar(req, res, { start = false } = {}) {
+    const session = proxySession(req, res);
+    if (session) {
+      return session.jar;
+    }
+    if (!start || !sessions || req.apiKey) {
+      return undefined;
+    }
+    res.locals.newCookieJar = createCookieJar();
+    return res.locals.newCookieJar;
+  }
+
+  // Start a session for the new jar from sessionJar if it now holds
+  // cookies; call before sending the response
+  async function keepSession(req, res) {
+    const jar = res.locals.newCookieJar;
+    if (jar && (await listCookies(jar)).length > 0) {
+      startSession(req, res, jar);
+    }
+  }
+
+  // Admin routes need the configured admin token as a bearer token, and are
+  // refused outright when none is configured
+  function requireAdmin(req, res, next) {
+    if (!config.adminToken) {
+      return res.status(403).json({ error: 'Admin routes are disabled: no adminToken is configured' });
+    }
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    // Compare digests, which have equal lengths, in constant time
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    if (!/^bearer$/i.test(scheme) || !token ||
+        !crypto.timingSafeEqual(digest(token), digest(config.adminToken))) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'A valid admin token is required' });
+    }
+    return next();
+  }
+
+  function sendJsonError(req, res, status, body) {
+    return res.status(status).json(body);
+  }
+
+  // The API key sent with a request, in X-API-Key or as a bearer token
+  function requestApiKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) {
+      return header.trim();
+    }
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    return /^bearer$/i.test(scheme) && token ? token : null;
+  }
+
+  function invalidApiKeyError() {
+    return new ProxyError('Invalid or revoked API key', { status: 401, code: 'INVALID_API_KEY' });
+  }
+
+  // Whether the browser says a request comes from the web UI or a page
+  // proxied through it: a same-origin request, one the user started (typed
+  // or bookmarked), or one whose Referer is a Faleproxy page. Proxied pages
+  // have an opaque origin, so their requests count as cross-site and only
+  // the Referer tells them apart. Pages can't forge these headers, and a
+  // client that can holds the session cookie anyway.
+  function fromOwnPages(req) {
+    if (['same-origin', 'none'].includes(req.get('Sec-Fetch-Site'))) {
+      return true;
+    }
+    try {
+      const referer = new URL(req.get('Referer'));
+      return referer.origin === new URL(routeUrl(req, '/')).origin && OWN_PAGES.includes(referer.pathname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // The API key a browser signed in with through POST /session/key, or
+  // null. It only applies to requests from Faleproxy's own pages, so other
+  // sites can't spend it by sending a signed-in browser to the proxy. A
+  // revoked key signs the session out.
+  function sessionApiKey(req, res) {
+    const session = proxySession(req, res);
+    if (!session || !session.apiKeyId || !fromOwnPages(req)) {
+      return null;
+    }
+    const record = keys.get(session.apiKeyId);
+    if (record && !record.revokedAt) {
+      return record;
+    }
+    delete session.apiKeyId;
+    return null;
+  }
+
+  // Middleware identifying the caller by API key, setting req.apiKey: the
+  // key sent with the request, or else the one its session signed in with.
+  // With auth.required, callers with neither are refused; a wrong or
+  // revoked key always is.
+  function authenticate(sendError) {
+    return (req, res, next) => {
+      const key = requestApiKey(req);
+      if (key) {
+        req.apiKey = keys.authenticate(key);
+        return req.apiKey ? next() : sendError(req, res, 401, invalidApiKeyError().toJSON());
+      }
+      req.apiKey = sessionApiKey(req, res);
+      if (req.apiKey || !config.auth.required) {
+        return next();
+      }
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      const required = new ProxyError('An API key is required', { status: 401, code: 'API_KEY_REQUIRED' });
+      return sendError(req, res, 401, required.toJSON());
+    };
+  }
+
+  // Middleware counting a request against the API key's quota
+  function enforceQuota(sendError) {
+    return (req, res, next) => {
+      if (!req.apiKey) {
+        return next();
+      }
+      const { allowed, remaining, retryAfter } = keys.consume(req.apiKey);
+      if (remaining !== null) {
+        res.setHeader('X-Quota-Remaining', String(remaining));
+      }
+      if (allowed) {
+        return next();
+      }
+      res.setHeader('Retry-After', String(retryAfter));
+      return sendError(req, res, 429, quotaExceededError(req.apiKey, retryAfter).toJSON());
+    };
+  }
+
+  // The checkUrl function for a request's upstream fetches: refuses URLs,
+  // redirect hops included, that the site policy denies or that are
+  // outside the API key's allowed domains
+  function urlCheck(req) {
+    const allowedDomains = req.apiKey ? req.apiKey.allowedDomains : [];
+    return url => {
+      policy.checkUrl(url);
+      const { hostname } = new URL(url);
+      if (allowedDomains.length > 0 && !isAllowedDomain(hostname, allowedDomains)) {
+        throw domainNotAllowedError(hostname);
+      }
+    };
+  }
+
+  // Middleware applying a rate limiter per API key, or per client IP
+  // address without one. sendError sends the 429 response, as JSON or as
+  // a page.
+  function limitRate(limiter, sendError = sendJsonError) {
+    return (req, res, next) => {
+      if (!limiter) {
+        return next();
+      }
+      const { allowed, retryAfter } = limiter.take(req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`);
+      if (allowed) {
+        return next();
+      }
+      res.setHeader('Retry-After', String(retryAfter));
+      return sendError(req, res, 429, rateLimitedError(retryAfter).toJSON());
+    };
+  }
+
+  // Everything a page route checks before doing any work
+  function pageGuards(sendError) {
+    return [authenticate(sendError), limitRate(pageLimiter, sendError), enforceQuota(sendError)];
+  }
+
+  // Report how the cache served a result, for pages that went through it
+  function setCacheStatus(res, result) {
+    if (result.cacheStatus) {
+      res.setHeader('X-Cache', result.cacheStatus);
+    }
+  }
 
-    // Use cheerio to parse HTML and selectively replace text content, not URLs
-    const $ = cheerio.load(html, {
-      decodeEntities: false,  // Preserve original entities
-      xmlMode: false,         // Handle as HTML
-      normalizeWhitespace: false // Preserve whitespace
+  // Routes opened by the browser show errors as a page unless the client
+  // asked for JSON
+  function sendPageError(req, res, status, body) {
+    res.status(status);
+    if (req.accepts(['html', 'json']) === 'json') {
+      return res.json(body);
+    }
+    res.setHeader('Content-Security-Policy', PROXY_CSP);
+    return res.send(`<!DOCTYPE html><html><head><title>Faleproxy error</title></head><body><p>${escapeHtml(body.error)}</p></body></html>`);
+  }
+
+  // Proxy routes for a /fetch result: links and forms only in navigable
+  // mode, assets only with proxyAssets
+  function fetchProxies(req) {
+    const proxyAssets = proxiesAssets(req.body.proxyAssets);
+    const proxies = navigationProxies(req, proxyAssets);
+    return isNavigable(req.body) ? proxies : { assetProxy: proxies.assetProxy };
+  }
+
+  // Proxy routes for links (/proxy) and forms (/form) that keep the user
+  // inside Faleproxy, with assets proxied too if proxyAssets is set
+  function navigationProxies(req, proxyAssets) {
+    return {
+      linkProxy: routeUrl(req, proxyAssets ? '/proxy?assets=1' : '/proxy'),
+      formProxy: routeUrl(req, proxyAssets ? `/form?${FORM_ASSETS_PARAM}=1` : '/form'),
+      assetProxy: proxyAssets ? routeUrl(req, '/asset') : undefined
+    };
+  }
+
+  // Fetch (or submit to) a URL and send the transformed document itself,
+  // as /proxy and /form do. Upstream error pages keep their status.
+  async function sendProxiedPage(req, res, url, { proxyAssets, ...request }) {
+    try {
+      const result = await fetchAndTransform(url, {
+        ...transformOptions(req, {}),
+        ...request,
+        ...navigationProxies(req, proxyAssets),
+        cookieJar: sessionJar(req, res, { start: true }),
+        checkUrl: urlCheck(req),
+        cache,
+        concurrency,
+        ssrf: config.ssrf,
+        limits: config.limits,
+        renderErrorPages: true,
+        viewerStyles: true
+      });
+      await keepSession(req, res);
+
+      res.setHeader('Content-Security-Policy', PROXY_CSP);
+      setCacheStatus(res, result);
+      // The body is now UTF-8, whatever charset the original declared
+      res.type(result.contentType.split(';')[0]);
+      return res.status(result.status).send(result.content);
+    } catch (error) {
+      await keepSession(req, res);
+      const { status, body } = fetchErrorResponse(error);
+      return sendPageError(req, res, status, body);
+    }
+  }
+
+  // Form passthrough: forwards a form submission from a proxied page to its
+  // original action (named by FORM_TARGET_PARAM) and returns the transformed
+  // response. POST bodies, multipart uploads included, are forwarded byte
+  // for byte, so this route reads the raw body and must come before the
+  // body parsers below.
+  app.route('/form')
+    .get(pageGuards(sendPageError), (req, res) => {
+      // A GET form's fields arrive as the query string, alongside the hidden
+      // proxy parameters added by proxyForms
+      const params = new URL(req.originalUrl, 'http://localhost').searchParams;
+      const target = params.get(FORM_TARGET_PARAM);
+      const proxyAssets = proxiesAssets(params.get(FORM_ASSETS_PARAM) || undefined);
+      params.delete(FORM_TARGET_PARAM);
+      params.delete(FORM_ASSETS_PARAM);
+
+      if (!target || !isHttpUrl(target)) {
+        return sendPageError(req, res, 400, { error: `${FORM_TARGET_PARAM} must be an absolute http(s) URL` });
+      }
+      const url = new URL(target);
+      url.search = params.toString();
+      return sendProxiedPage(req, res, url.href, { proxyAssets });
+    })
+    .post(pageGuards(sendPageError), express.raw({ type: () => true, limit: BODY_LIMIT }), (req, res) => {
+      const target = req.query[FORM_TARGET_PARAM];
+
+      if (typeof target !== 'string' || !isHttpUrl(target)) {
+        return sendPageError(req, res, 400, { error: `${FORM_TARGET_PARAM} must be an absolute http(s) URL` });
+      }
+      const contentType = req.get('Content-Type');
+      return sendProxiedPage(req, res, target, {
+        proxyAssets: proxiesAssets(req.query[FORM_ASSETS_PARAM]),
+        method: 'POST',
+        data: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0),
+        headers: contentType ? { 'Content-Type': contentType } : {}
+      });
     });
-    
-    // Fix base URL for resources
-    let baseUrl = url;
-    const baseTag = $('base');
-    if (baseTag.length && baseTag.attr('href')) {
-      baseUrl = baseTag.attr('href');
-    } else {
-      // Add base tag to ensure relative URLs work correctly
-      $('head').prepend(`<base href="${url}">`); 
-    }
-    
-    // Fix relative URLs in various attributes
-    const urlAttributes = ['src', 'href', 'action', 'data-src'];
-    urlAttributes.forEach(attr => {
-      $(`[${attr}]`).each(function() {
-        const attrValue = $(this).attr(attr);
-        if (attrValue && !attrValue.startsWith('http') && !attrValue.startsWith('//') && !attrValue.startsWith('#') && !attrValue.startsWith('javascript:') && !attrValue.startsWith('data:')) {
-          $(this).attr(attr, new URL(attrValue, url).href);
-        }
+
+  // Middleware to parse request bodies
+  app.use(express.json({ limit: BODY_LIMIT }));
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.text({ type: 'text/html', limit: BODY_LIMIT }));
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  // Add Content Security Policy middleware
+  app.use((req, res, next) => {
+    res.setHeader(
+      'Content-Security-Policy',
+      "default-src 'self'; script-src 'self' https://cdnjs.cloudflare.com 'unsafe-inline'; style-src 'self' 'unsafe-inline'; frame-src 'self'; img-src * data:;"
+    );
+    next();
+  });
+
+  // Route to serve the main page
+  app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+  });
+
+  // API endpoint to fetch and modify content
+  app.post('/fetch', pageGuards(sendJsonError), async (req, res) => {
+    try {
+      const { url } = req.body;
+
+      if (!url) {
+        return res.status(400).json({ error: 'URL is required' });
+      }
+
+      const result = await fetchAndTransform(url, {
+        ...transformOptions(req, req.body),
+        ssrf: config.ssrf,
+        limits: config.limits,
+        renderErrorPages: req.body.renderErrorPages !== undefined
+          ? Boolean(req.body.renderErrorPages)
+          : Boolean(config.renderErrorPages),
+        ...fetchProxies(req),
+        cookieJar: sessionJar(req, res, { start: true }),
+        checkUrl: urlCheck(req),
+        cache,
+        concurrency,
+        viewerStyles: true
+      });
+      await keepSession(req, res);
+
+      setCacheStatus(res, result);
+      return res.json({
+        success: true,
+        content: result.content,
+        title: result.title,
+        originalUrl: result.url,
+        finalUrl: result.finalUrl,
+        redirects: result.redirects,
+        contentType: result.contentType,
+        upstreamStatus: result.status,
+        upstreamHeaders: result.headers,
+        cacheStatus: result.cacheStatus
       });
+    } catch (error) {
+      await keepSession(req, res);
+      const { status, body } = fetchErrorResponse(error);
+      return res.status(status).json(body);
+    }
+  });
+
+  // Browsable proxy: returns the transformed document itself, with links
+  // pointing back here so a whole site can be browsed with replacements
+  // applied. Upstream error pages are shown with their original status.
+  app.get('/proxy', pageGuards(sendPageError), (req, res) => {
+    const { url } = req.query;
+
+    if (typeof url !== 'string' || url === '') {
+      return sendPageError(req, res, 400, { error: 'URL is required' });
+    }
+    return sendProxiedPage(req, res, url, { proxyAssets: proxiesAssets(req.query.assets) });
+  });
+
+  // Subresource passthrough: streams images, fonts, scripts and media from
+  // the origin with the same SSRF protection and limits as /fetch, so the
+  // user's browser never contacts the origin. Stylesheets are buffered and
+  // their url() references pointed back here.
+  app.get('/asset', authenticate(sendJsonError), limitRate(assetLimiter), async (req, res) => {
+    const { url } = req.query;
+
+    if (typeof url !== 'string' || !isHttpUrl(url)) {
+      return res.status(400).json({ error: 'url must be an absolute http(s) URL' });
+    }
+
+    let response;
+    try {
+      response = await fetchUpstream(url, {
+        guard: createGuard(config.ssrf),
+        limits: config.limits,
+        headers: { Accept: req.get('Accept') || '*/*' },
+        // Assets use the page's session but never start one
+        cookieJar: sessionJar(req, res),
+        checkUrl: urlCheck(req),
+        concurrency,
+        allowErrorStatus: true,
+        stream: true
+      });
+    } catch (error) {
+      const { status, body } = fetchErrorResponse(error);
+      return res.status(status).json(body);
+    }
+    // A browser leaving the page must free the upstream connection and its
+    // concurrency slot rather than hold them until the deadline
+    res.on('close', () => response.data.destroy());
+
+    res.status(response.status);
+    res.setHeader('Content-Security-Policy', ASSET_CSP);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    // Proxied pages run in an opaque origin, so fonts and other CORS
+    // loads would be refused without it
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    ASSET_HEADERS.forEach(name => {
+      if (response.headers[name] !== undefined) {
+        res.setHeader(name, response.headers[name]);
+      }
     });
-    
-    // Process text nodes in the body to replace Yale with Fale
-    function processNode(index, element) {
-      // Skip script and style tags
-      if (element.name === 'script' || element.name === 'style') {
-        return;
-      }
-      
-      // Process text nodes
-      $(element).contents().each(function() {
-        if (this.type === 'text') {
-          const text = $(this).text();
-          const newText = text
-            .replace(/Yale/g, 'Fale')
-            .replace(/YALE/g, 'FALE')
-            .replace(/yale/g, 'fale');
-          if (text !== newText) {
-            $(this).replaceWith(newText);
-          }
-        } else if (this.type === 'tag') {
-          // Recursively process child elements
-          processNode(0, this);
-        }
+
+    const contentType = String(response.headers['content-type'] || '');
+    if (contentType.split(';')[0].trim().toLowerCase() !== 'text/css') {
+      return pipeline(response.data, res, () => {});
+    }
+
+    try {
+      const chunks = [];
+      for await (const chunk of response.data) {
+        chunks.push(chunk);
+      }
+      const buffer = Buffer.concat(chunks);
+      const css = decodeBody(buffer, detectCharset(buffer, contentType));
+      res.type('text/css');
+      return res.send(rewriteCssUrls(css, response.finalUrl, routeUrl(req, '/asset')));
+    } catch (error) {
+      const { status, body } = fetchErrorResponse(error);
+      return res.status(status).json(body);
+    }
+  });
+
+  // API endpoint to transform HTML the caller already has. Accepts raw
+  // text/html (with ?baseUrl=...) or JSON { html, baseUrl, rules, ... }.
+  // Nothing is fetched from the network.
+  app.post('/transform', pageGuards(sendJsonError), (req, res) => {
+    const isHtml = typeof req.body === 'string';
+    const body = isHtml ? {} : req.body;
+    const html = isHtml ? req.body : body.html;
+    const baseUrl = isHtml ? req.query.baseUrl : body.baseUrl;
+
+    if (typeof html !== 'string' || html === '') {
+      return res.status(400).json({ error: 'HTML is required' });
+    }
+    if (baseUrl !== undefined && !isHttpUrl(baseUrl)) {
+      return res.status(400).json({ error: 'baseUrl must be an absolute http(s) URL' });
+    }
+
+    try {
+      const result = transformHtml(html, { ...transformOptions(req, body), baseUrl });
+
+      return res.json({
+        success: true,
+        content: result.content,
+        title: result.title
+      });
+    } catch (error) {
+      if (error instanceof RuleError) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error instanceof ProxyError) {
+        return res.status(error.status).json(error.toJSON());
+      }
+      console.error('Error transforming HTML:', error.message);
+      return res.status(500).json({
+        error: `Failed to transform content: ${error.message}`
       });
     }
-    
-    // Process all elements
-    $('*').each(processNode);
-    
-    // Process title separately
-    const title = $('title').text()
-      .replace(/Yale/g, 'Fale')
-      .replace(/YALE/g, 'FALE')
-      .replace(/yale/g, 'fale');
-    $('title').text(title);
-    
-    // Add CSS to fix iframe rendering issues
-    $('head').append(`
-      <style>
-        img, video, iframe { max-width: 100%; height: auto; }
-        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
-      </style>
-    `);
-    
-    return res.json({ 
-      success: true, 
-      content: $.html(),
-      title: title,
-      originalUrl: url
+  });
+
+  if (sessions) {
+    // Sign the browser's session in with an API key, so the web UI and the
+    // pages browsed through it are allowed, counted and limited as that key
+    // without sending it on every request. DELETE signs out.
+    app.post('/session/key', limitRate(pageLimiter), (req, res) => {
+      // JSON only: another site's plain HTML form could otherwise sign the
+      // browser in with its own key
+      if (!req.is('application/json')) {
+        return res.status(415).json({ error: 'Send the key as application/json' });
+      }
+      const { key } = req.body || {};
+      if (typeof key !== 'string' || key.trim() === '') {
+        return res.status(400).json({ error: 'key is required' });
+      }
+      const record = keys.authenticate(key.trim());
+      if (!record) {
+        return res.status(401).json(invalidApiKeyError().toJSON());
+      }
+      proxySession(req, res, { start: true }).apiKeyId = record.id;
+      return res.json({ success: true, id: record.id, name: record.name });
     });
-  } catch (error) {
-    console.error('Error fetching URL:', error.message);
-    return res.status(500).json({ 
-      error: `Failed to fetch content: ${error.message}` 
+
+    app.delete('/session/key', (req, res) => {
+      const session = proxySession(req, res);
+      if (session) {
+        delete session.apiKeyId;
+      }
+      return res.json({ success: true });
+    });
+
+    function sendCookieError(res, error) {
+      console.error('Error reading session cookies:', error.message);
+      return res.status(500).json({ error: `Failed to read session cookies: ${error.message}`, code: 'INTERNAL_ERROR' });
+    }
+
+    // Cookie jar of the caller's proxy session: GET lists the upstream
+    // cookies stored so far, DELETE clears them (only those sent to
+    // ?domain=... if given). Neither starts a session.
+    app.get('/session/cookies', async (req, res) => {
+      try {
+        const jar = sessionJar(req, res);
+        return res.json({ cookies: jar ? await listCookies(jar) : [] });
+      } catch (error) {
+        return sendCookieError(res, error);
+      }
+    });
+
+    app.delete('/session/cookies', async (req, res) => {
+      const { domain } = req.query;
+      if (domain !== undefined && (typeof domain !== 'string' || domain.trim() === '')) {
+        return res.status(400).json({ error: 'domain must be a host name' });
+      }
+      try {
+        const jar = sessionJar(req, res);
+        const removed = jar ? await clearCookies(jar, domain) : 0;
+        return res.json({ success: true, removed });
+      } catch (error) {
+        return sendCookieError(res, error);
+      }
     });
   }
-});
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`Faleproxy server running at http://localhost:${PORT}`);
-});
+  // Purge the page cache: every entry, or only those for ?url=... (with
+  // any rule set)
+  app.delete('/admin/cache', requireAdmin, async (req, res) => {
+    const { url } = req.query;
+    if (url !== undefined && (typeof url !== 'string' || url === '')) {
+      return res.status(400).json({ error: 'url must be a page URL' });
+    }
+    try {
+      const purged = cache ? await cache.purge(url === undefined ? undefined : normalizeUrl(url)) : 0;
+      return res.json({ success: true, purged });
+    } catch (error) {
+      console.error('Error purging the page cache:', error.message);
+      return res.status(500).json({ error: `Failed to purge the page cache: ${error.message}`, code: 'INTERNAL_ERROR' });
+    }
+  });
+
+  function sendKeyError(res, error) {
+    if (error instanceof ProxyError) {
+      return res.status(error.status).json(error.toJSON());
+    }
+    console.error('Error updating API keys:', error.message);
+    return res.status(500).json({ error: `Failed to update API keys: ${error.message}`, code: 'INTERNAL_ERROR' });
+  }
+
+  // API keys: list them with their usage, look one up, create one (the
+  // secret is only ever returned here) or revoke one
+  app.get('/admin/keys', requireAdmin, (req, res) => {
+    return res.json({ keys: keys.list().map(keys.describe) });
+  });
+
+  app.get('/admin/keys/:id', requireAdmin, (req, res) => {
+    const record = keys.get(req.params.id);
+    if (!record) {
+      return sendKeyError(res, new ProxyError(`No API key with id ${req.params.id}`, { status: 404, code: 'KEY_NOT_FOUND' }));
+    }
+    return res.json(keys.describe(record));
+  });
+
+  app.post('/admin/keys', requireAdmin, async (req, res) => {
+    try {
+      const { key, record } = await keys.create(req.body || {});
+      return res.status(201).json({ key, ...keys.describe(record) });
+    } catch (error) {
+      return sendKeyError(res, error);
+    }
+  });
+
+  app.delete('/admin/keys/:id', requireAdmin, async (req, res) => {
+    try {
+      const record = await keys.revoke(req.params.id);
+      return res.json({ success: true, ...keys.describe(record) });
+    } catch (error) {
+      return sendKeyError(res, error);
+    }
+  });
+
+  return app;
+}
+
+const app = createApp();
+
+// Start the server when run directly; requiring this file only builds the app
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Faleproxy server running at http://localhost:${PORT}`);
+  });
+}
+
+module.exports = app;
+module.exports.createApp = createApp;
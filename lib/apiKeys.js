@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ProxyError } = require('./errors');
+const { isAllowedDomain } = require('./urls');
+
+// Where keys created through the admin routes, and every key's usage, are
+// kept
+const DEFAULT_KEYS_FILE = 'faleproxy.keys.json';
+
+const QUOTA_PERIODS = ['hour', 'day', 'month'];
+
+// Usage counts are written out at most this often (ms)
+const SAVE_DELAY = 1000;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function invalidSettings(message) {
+  return new ProxyError(message, { status: 400, code: 'INVALID_KEY_SETTINGS' });
+}
+
+// Start of the quota period containing a time, in UTC
+function periodStart(period, time) {
+  const date = new Date(time);
+  if (period === 'hour') {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours());
+  }
+  if (period === 'day') {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  }
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth());
+}
+
+function periodEnd(period, start) {
+  const date = new Date(start);
+  if (period === 'hour') {
+    return start + 60 * 60 * 1000;
+  }
+  if (period === 'day') {
+    return start + 24 * 60 * 60 * 1000;
+  }
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1);
+}
+
+/**
+ * Check and normalise the settings of a key: name, quota ({ requests,
+ * period } or null for none), allowedDomains (empty for any) and profiles
+ * (names from the profiles config; empty for any). Throws a 400
+ * INVALID_KEY_SETTINGS ProxyError.
+ */
+function keySettings(fields = {}, profiles = {}) {
+  const { name = '', quota = null, allowedDomains = [], profiles: keyProfiles = [] } = fields;
+  if (typeof name !== 'string') {
+    throw invalidSettings('name must be a string');
+  }
+  if (quota !== null) {
+    if (typeof quota !== 'object' || !Number.isInteger(quota.requests) || quota.requests < 1) {
+      throw invalidSettings('quota.requests must be a positive integer');
+    }
+    if (!QUOTA_PERIODS.includes(quota.period || 'day')) {
+      throw invalidSettings(`quota.period must be one of ${QUOTA_PERIODS.join(', ')}`);
+    }
+  }
+  if (!Array.isArray(allowedDomains) || allowedDomains.some(domain => typeof domain !== 'string' || !domain)) {
+    throw invalidSettings('allowedDomains must be an array of host names');
+  }
+  if (!Array.isArray(keyProfiles) || keyProfiles.some(profile => !Object.hasOwn(profiles, profile))) {
+    throw invalidSettings('profiles must be an array of configured profile names');
+  }
+  return {
+    name,
+    quota: quota && { requests: quota.requests, period: quota.period || 'day' },
+    allowedDomains,
+    profiles: keyProfiles
+  };
+}
+
+/**
+ * Create the API key store. Keys come from two places: options.keys, from
+ * the config file ({ id, key, ...settings }, read-only), and
+ * options.file, a JSON file holding the keys created through the admin
+ * routes, stored as hashes only. Usage counts for both are kept in the
+ * file too.
+ *
+ *   authenticate(key)  - the live key record for a secret, or null
+ *   create(fields)     - a new key: resolves with { key, record }, the
+ *                        secret being shown this once
+ *   revoke(id)         - revoke a key created through the store
+ *   consume(record)    - count a request against the key's quota; returns
+ *                        { allowed, remaining, retryAfter }
+ *   describe(record)   - the record as the admin routes show it
+ *   list(), get(id)    - key records, revoked ones included
+ *   flush()            - write pending usage counts now
+ */
+function createKeyStore(options = {}) {
+  const file = path.resolve(options.file || DEFAULT_KEYS_FILE);
+  const profiles = options.profiles || {};
+  const records = new Map();
+  let usage = {};
+
+  let stored = { keys: [], usage: {} };
+  if (fs.existsSync(file)) {
+    try {
+      stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read API key file ${file}: ${error.message}`);
+    }
+  }
+  usage = stored.usage || {};
+  (stored.keys || []).forEach(record => records.set(record.id, { ...record, source: 'file' }));
+  (options.keys || []).forEach(entry => {
+    if (!entry.id || typeof entry.key !== 'string' || !entry.key) {
+      throw new Error('API keys in the config file need an id and a key');
+    }
+    records.set(entry.id, {
+      id: entry.id,
+      ...keySettings(entry, profiles),
+      keyHash: hashKey(entry.key),
+      createdAt: null,
+      revokedAt: null,
+      source: 'config'
+    });
+  });
+
+  let writing = Promise.resolve();
+  let saveTimer = null;
+
+  // Write the keys and usage out, with the records in pending added to
+  // those already kept
+  function save(pending = []) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const keys = [...records.values(), ...pending]
+      .filter(record => record.source === 'file')
+      .map(({ source, ...record }) => record);
+    const data = JSON.stringify({ keys, usage }, null, 2);
+    // Write then rename, one write at a time; a failed write is reported
+    // to its caller and doesn't stop the next one
+    writing = writing.catch(() => {}).then(async () => {
+      const temp = `${file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(temp, data, { mode: 0o600 });
+      await fs.promises.rename(temp, file);
+    });
+    return writing;
+  }
+
+  function scheduleSave() {
+    if (!saveTimer) {
+      saveTimer = setTimeout(() => {
+        save().catch(error => console.error('Error saving API key usage:', error.message));
+      }, SAVE_DELAY);
+      saveTimer.unref();
+    }
+  }
+
+  const byHash = () => new Map([...records.values()].map(record => [record.keyHash, record]));
+  let hashes = byHash();
+
+  function authenticate(key) {
+    const record = hashes.get(hashKey(key));
+    return record && !record.revokedAt ? record : null;
+  }
+
+  async function create(fields) {
+    const settings = keySettings(fields, profiles);
+    const key = `fp_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: `key_${crypto.randomBytes(6).toString('hex')}`,
+      ...settings,
+      keyHash: hashKey(key),
+      createdAt: new Date().toISOString(),
+      revokedAt: null,
+      source: 'file'
+    };
+    // Only usable once saved, so a failed write leaves no key behind whose
+    // secret was never returned
+    await save([record]);
+    records.set(record.id, record);
+    hashes = byHash();
+    return { key, record };
+  }
+
+  async function revoke(id) {
+    const record = records.get(id);
+    if (!record) {
+      throw new ProxyError(`No API key with id ${id}`, { status: 404, code: 'KEY_NOT_FOUND' });
+    }
+    if (record.source === 'config') {
+      throw new ProxyError(`API key ${id} is defined in the config file; remove it there`, {
+        status: 409,
+        code: 'KEY_IN_CONFIG'
+      });
+    }
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await save();
+    }
+    return record;
+  }
+
+  function currentUsage(record, now) {
+    const entry = usage[record.id] || { total: 0 };
+    const period = record.quota ? record.quota.period : 'day';
+    const start = new Date(periodStart(period, now)).toISOString();
+    return entry.periodStart === start && entry.period === period
+      ? entry
+      : { total: entry.total, period, periodStart: start, count: 0 };
+  }
+
+  function consume(record) {
+    const now = Date.now();
+    const entry = currentUsage(record, now);
+    if (record.quota && entry.count >= record.quota.requests) {
+      const end = periodEnd(record.quota.period, Date.parse(entry.periodStart));
+      return { allowed: false, remaining: 0, retryAfter: Math.ceil((end - now) / 1000) };
+    }
+    usage[record.id] = { ...entry, count: entry.count + 1, total: entry.total + 1, lastUsedAt: new Date(now).toISOString() };
+    scheduleSave();
+    return {
+      allowed: true,
+      remaining: record.quota ? record.quota.requests - entry.count - 1 : null,
+      retryAfter: 0
+    };
+  }
+
+  function describe(record) {
+    const { keyHash, ...visible } = record;
+    const entry = currentUsage(record, Date.now());
+    return {
+      ...visible,
+      usage: {
+        period: entry.period,
+        periodStart: entry.periodStart,
+        count: entry.count,
+        total: entry.total,
+        lastUsedAt: (usage[record.id] && usage[record.id].lastUsedAt) || null
+      }
+    };
+  }
+
+  return {
+    authenticate,
+    create,
+    revoke,
+    consume,
+    describe,
+    list: () => [...records.values()],
+    get: id => records.get(id) || null,
+    flush: () => (saveTimer ? save() : writing)
+  };
+}
+
+/**
+ * The error for a key that has used up its quota, to be sent with a
+ * Retry-After header of retryAfter seconds.
+ */
+function quotaExceededError(record, retryAfter) {
+  return new ProxyError(`API key quota of ${record.quota.requests} requests per ${record.quota.period} used up`, {
+    status: 429,
+    code: 'QUOTA_EXCEEDED',
+    details: { retryAfter, limit: record.quota.requests, period: record.quota.period }
+  });
+}
+
+/**
+ * The error for a URL outside a key's allowed domains.
+ */
+function domainNotAllowedError(hostname) {
+  return new ProxyError(`This API key may not fetch from ${hostname}`, {
+    status: 403,
+    code: 'DOMAIN_NOT_ALLOWED',
+    details: { hostname }
+  });
+}
+
+module.exports = {
+  DEFAULT_KEYS_FILE,
+  QUOTA_PERIODS,
+  isAllowedDomain,
+  createKeyStore,
+  quotaExceededError,
+  domainNotAllowedError
+};
@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// store is 'memory' or 'disk' (or a store object, see createCache);
+// maxEntries and maxBytes, the total size of the transformed pages, bound
+// either; pages larger than maxEntryBytes are never stored; directory is
+// where the disk store keeps files
+const DEFAULT_CACHE_OPTIONS = {
+  store: 'memory',
+  maxEntries: 500,
+  maxBytes: 50 * 1024 * 1024,
+  maxEntryBytes: 2 * 1024 * 1024,
+  directory: '.faleproxy-cache'
+};
+
+// Upstream headers kept with an entry to judge and revalidate it later
+const CACHE_HEADERS = ['cache-control', 'expires', 'date', 'age', 'etag', 'last-modified'];
+
+function canonicalUrl(url) {
+  try {
+    return new URL(url).href;
+  } catch (error) {
+    return url;
+  }
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Cache key for a page fetched with a given set of output-affecting options
+ * (rules, proxies and so on): the URL plus a hash of the options, so the
+ * same page transformed differently is cached separately.
+ */
+function cacheKey(url, variant) {
+  return `${url} ${sha256(JSON.stringify(variant)).slice(0, 16)}`;
+}
+
+/**
+ * Parse a Cache-Control header into { directive: value } ('' for
+ * directives without a value). Directive names are lower-cased.
+ */
+function parseCacheControl(header = '') {
+  const directives = {};
+  String(header).split(',').forEach(part => {
+    const [name, ...value] = part.split('=');
+    const directive = name.trim().toLowerCase();
+    if (directive) {
+      directives[directive] = value.join('=').trim().replace(/^"(.*)"$/, '$1');
+    }
+  });
+  return directives;
+}
+
+function seconds(value) {
+  const number = Number.parseInt(value, 10);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * How long (in ms) a response stays fresh in a shared cache, from its
+ * Cache-Control s-maxage or max-age, or else its Expires and Date headers.
+ * no-cache, a missing or invalid Expires and the like give 0: the response
+ * may be stored but must be revalidated before every use.
+ */
+function freshnessLifetime(headers, responseTime = Date.now()) {
+  const directives = parseCacheControl(headers['cache-control']);
+  if ('no-cache' in directives) {
+    return 0;
+  }
+  const maxAge = seconds(directives['s-maxage']) ?? seconds(directives['max-age']);
+  if (maxAge !== null) {
+    return maxAge * 1000;
+  }
+  const expires = Date.parse(headers.expires);
+  if (Number.isNaN(expires)) {
+    return 0;
+  }
+  const date = Date.parse(headers.date);
+  return Math.max(0, expires - (Number.isNaN(date) ? responseTime : date));
+}
+
+// Whether a shared cache may store a response at all. Responses tied to a
+// user (private, Set-Cookie, cookies sent on the way) never are.
+function isStorable(response) {
+  const { headers } = response;
+  const directives = parseCacheControl(headers['cache-control']);
+  const vary = String(headers.vary || '').split(',').map(name => name.trim());
+  return response.status === 200 &&
+    !response.usedCookies &&
+    !headers['set-cookie'] &&
+    !('no-store' in directives) &&
+    !('private' in directives) &&
+    !vary.includes('*');
+}
+
+function pickCacheHeaders(headers) {
+  const picked = {};
+  CACHE_HEADERS.forEach(name => {
+    if (headers[name] !== undefined) {
+      picked[name] = String(headers[name]);
+    }
+  });
+  return picked;
+}
+
+// Size of an entry for maxBytes: that of its transformed page, as set by
+// createCache
+function entrySize(entry) {
+  return (entry && entry.size) || 0;
+}
+
+/**
+ * In-memory store keeping up to maxEntries entries and maxBytes of pages,
+ * dropping the least recently used beyond that.
+ */
+function createMemoryStore(options = {}) {
+  const { maxEntries, maxBytes } = { ...DEFAULT_CACHE_OPTIONS, ...options };
+  // Map order doubles as least recently used order
+  const entries = new Map();
+  let bytes = 0;
+
+  function remove(key) {
+    if (entries.has(key)) {
+      bytes -= entrySize(entries.get(key));
+      entries.delete(key);
+    }
+  }
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (entry) {
+        entries.delete(key);
+        entries.set(key, entry);
+      }
+      return entry;
+    },
+    set(key, entry) {
+      remove(key);
+      entries.set(key, entry);
+      bytes += entrySize(entry);
+      while (entries.size > maxEntries || bytes > maxBytes) {
+        remove(entries.keys().next().value);
+      }
+    },
+    delete(key) {
+      remove(key);
+    },
+    keys() {
+      return [...entries.keys()];
+    },
+    clear() {
+      entries.clear();
+      bytes = 0;
+    }
+  };
+}
+
+/**
+ * On-disk store keeping one JSON file per entry in a directory, so the
+ * cache survives restarts and can be shared by several processes. Past
+ * maxEntries files or maxBytes of files, the least recently used are
+ * removed.
+ */
+function createDiskStore(options = {}) {
+  const { directory, maxEntries, maxBytes } = { ...DEFAULT_CACHE_OPTIONS, ...options };
+  const root = path.resolve(directory);
+  const fileFor = key => path.join(root, `${sha256(key)}.json`);
+
+  async function files() {
+    try {
+      const names = await fs.promises.readdir(root);
+      return names.filter(name => name.endsWith('.json')).map(name => path.join(root, name));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  // The { key, entry } record in a file, or null if it is gone or corrupt
+  async function readRecord(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function evict() {
+    const stats = await Promise.all((await files()).map(async file => {
+      try {
+        const stat = await fs.promises.stat(file);
+        return { file, used: stat.mtimeMs, size: stat.size };
+      } catch (error) {
+        return { file, used: 0, size: 0 };
+      }
+    }));
+    let count = stats.length;
+    let bytes = stats.reduce((total, { size }) => total + size, 0);
+    stats.sort((a, b) => a.used - b.used);
+    for (const { file, size } of stats) {
+      if (count <= maxEntries && bytes <= maxBytes) {
+        break;
+      }
+      await fs.promises.rm(file, { force: true });
+      count--;
+      bytes -= size;
+    }
+  }
+
+  return {
+    async get(key) {
+      const file = fileFor(key);
+      const record = await readRecord(file);
+      if (!record || record.key !== key) {
+        return undefined;
+      }
+      // The modification time tracks use, for eviction
+      const now = new Date();
+      await fs.promises.utimes(file, now, now).catch(() => {});
+      return record.entry;
+    },
+    async set(key, entry) {
+      await fs.promises.mkdir(root, { recursive: true });
+      const file = fileFor(key);
+      // Write then rename, so readers never see a half-written file
+      const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify({ key, entry }));
+      await fs.promises.rename(temp, file);
+      await evict();
+    },
+    async delete(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+    async keys() {
+      const records = await Promise.all((await files()).map(readRecord));
+      return records.filter(Boolean).map(record => record.key);
+    },
+    async clear() {
+      for (const file of await files()) {
+        await fs.promises.rm(file, { force: true });
+      }
+    }
+  };
+}
+
+/**
+ * Create the cache of transformed pages used by fetchAndTransform. Entries
+ * follow HTTP caching rules for a shared cache: fresh entries are served
+ * as they are, stale ones with an ETag or Last-Modified are revalidated
+ * with a conditional request, and responses that may not be stored (see
+ * isStorable) never are.
+ *
+ * options.store is 'memory' (the default), 'disk', or any object with
+ * get, set, delete, keys and clear methods, which may return promises.
+ * Entries carry their page's size in bytes as entry.size.
+ */
+function createCache(options = {}) {
+  const settings = { ...DEFAULT_CACHE_OPTIONS, ...options };
+  let store = settings.store;
+  if (store === 'memory') {
+    store = createMemoryStore(settings);
+  } else if (store === 'disk') {
+    store = createDiskStore(settings);
+  } else if (!store || typeof store !== 'object') {
+    throw new Error(`Unknown cache store: ${store}`);
+  }
+
+  function hasValidators(entry) {
+    return Boolean(entry.headers.etag || entry.headers['last-modified']);
+  }
+
+  function isFresh(entry, now = Date.now()) {
+    const age = (seconds(entry.headers.age) || 0) * 1000 + (now - entry.responseTime);
+    return age < entry.lifetime;
+  }
+
+  // A stored entry, or null. Stale entries that can't be revalidated are
+  // dropped.
+  async function lookup(key) {
+    const entry = await store.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (!isFresh(entry) && !hasValidators(entry)) {
+      await store.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // Request headers revalidating a stale entry
+  function conditionalHeaders(entry) {
+    const headers = {};
+    if (entry.headers.etag) {
+      headers['If-None-Match'] = entry.headers.etag;
+    }
+    if (entry.headers['last-modified']) {
+      headers['If-Modified-Since'] = entry.headers['last-modified'];
+    }
+    return headers;
+  }
+
+  function createEntry(url, result, headers) {
+    const responseTime = Date.now();
+    return {
+      url,
+      result,
+      headers: pickCacheHeaders(headers),
+      responseTime,
+      lifetime: freshnessLifetime(headers, responseTime),
+      size: Buffer.byteLength(result.content)
+    };
+  }
+
+  // Store a transformed result if its upstream response allows it and it
+  // isn't too large, or else drop any older entry. Resolves with whether
+  // it was stored.
+  async function save(key, url, response, result) {
+    const entry = createEntry(url, result, response.headers);
+    if (!isStorable(response) || entry.size > settings.maxEntryBytes ||
+        (entry.lifetime === 0 && !hasValidators(entry))) {
+      await store.delete(key);
+      return false;
+    }
+    await store.set(key, entry);
+    return true;
+  }
+
+  // Refresh an entry after a 304 Not Modified, whose headers update the
+  // stored ones. Resolves with the updated entry.
+  async function revalidated(key, entry, response) {
+    const updated = createEntry(entry.url, entry.result, {
+      ...entry.headers,
+      age: undefined,
+      ...pickCacheHeaders(response.headers)
+    });
+    await store.set(key, updated);
+    return updated;
+  }
+
+  // Remove every entry, or those for one page URL (as requested or after
+  // redirects). Resolves with the number removed.
+  async function purge(url) {
+    const keys = await store.keys();
+    if (url === undefined) {
+      await store.clear();
+      return keys.length;
+    }
+    const target = canonicalUrl(url);
+    let removed = 0;
+    for (const key of keys) {
+      const entry = await store.get(key);
+      if (entry && [entry.url, entry.result.finalUrl].some(entryUrl => canonicalUrl(entryUrl) === target)) {
+        await store.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  return { lookup, isFresh, conditionalHeaders, save, revalidated, purge };
+}
+
+module.exports = {
+  DEFAULT_CACHE_OPTIONS,
+  cacheKey,
+  parseCacheControl,
+  freshnessLifetime,
+  createMemoryStore,
+  createDiskStore,
+  createCache
+};
@@ -0,0 +1,106 @@
+const iconv = require('iconv-lite');
+
+// Byte order marks, checked longest first
+const BOMS = [
+  { bytes: [0xef, 0xbb, 0xbf], charset: 'utf-8' },
+  { bytes: [0xff, 0xfe], charset: 'utf-16le' },
+  { bytes: [0xfe, 0xff], charset: 'utf-16be' }
+];
+
+// How far into a document to look for a charset declaration, as browsers do
+const PRESCAN_BYTES = 1024;
+
+// <meta charset="..."> and <meta http-equiv="Content-Type" content="...; charset=...">
+const META_CHARSET = /<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i;
+const XML_ENCODING = /^\s*<\?xml[^>]*\sencoding\s*=\s*["']([\w.:-]+)["']/i;
+const HEADER_CHARSET = /;\s*charset\s*=\s*"?([\w.:-]+)"?/i;
+
+// The WHATWG name for a charset label ("latin1" and "iso-8859-1" both mean
+// windows-1252 on the web), or undefined if it is unknown or not decodable
+function canonicalCharset(label) {
+  try {
+    const { encoding } = new TextDecoder(label);
+    return iconv.encodingExists(encoding) ? encoding : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function sniffBom(buffer) {
+  const bom = BOMS.find(({ bytes }) => bytes.every((byte, index) => buffer[index] === byte));
+  return bom && bom.charset;
+}
+
+function sniffDeclaration(buffer) {
+  const head = buffer.subarray(0, PRESCAN_BYTES).toString('latin1');
+  const match = head.match(XML_ENCODING) || head.match(META_CHARSET);
+  if (!match) {
+    return undefined;
+  }
+  // A document that could be read this far as ASCII is not really UTF-16,
+  // whatever it claims (the HTML spec treats this as UTF-8)
+  return /^utf-?16/i.test(match[1]) ? 'utf-8' : match[1];
+}
+
+/**
+ * Work out the character set of a response body from, in order of
+ * precedence, a byte order mark, the charset parameter of the Content-Type
+ * header and a <meta charset> or <?xml encoding?> declaration near the start
+ * of the document. Unknown or missing charsets fall back to UTF-8.
+ */
+function detectCharset(buffer, contentType) {
+  const headerMatch = String(contentType || '').match(HEADER_CHARSET);
+  const candidates = [
+    sniffBom(buffer),
+    headerMatch && headerMatch[1],
+    sniffDeclaration(buffer)
+  ];
+  const charset = candidates
+    .map(candidate => candidate && canonicalCharset(candidate))
+    .find(Boolean);
+  return charset || 'utf-8';
+}
+
+/**
+ * Decode a body into a string, dropping any byte order mark. Bytes that are
+ * invalid in the charset become U+FFFD rather than failing the request.
+ */
+function decodeBody(buffer, charset = 'utf-8') {
+  // iconv-lite rather than TextDecoder: Node's TextDecoder treats
+  // windows-1252 as ISO-8859-1 and loses curly quotes and dashes
+  return iconv.decode(buffer, charset);
+}
+
+/**
+ * Point the charset declarations of a parsed document at UTF-8, the
+ * encoding of the transformed output. HTML <meta> tags and the XML
+ * declaration are updated; declarations that already say UTF-8 are left
+ * alone.
+ */
+function rewriteCharsetDeclarations($) {
+  $('meta[charset]').each(function() {
+    if (!/^utf-?8$/i.test($(this).attr('charset').trim())) {
+      $(this).attr('charset', 'utf-8');
+    }
+  });
+
+  $('meta[http-equiv="content-type" i][content]').each(function() {
+    const content = $(this).attr('content');
+    const match = content.match(HEADER_CHARSET);
+    if (match && !/^utf-?8$/i.test(match[1])) {
+      $(this).attr('content', content.replace(HEADER_CHARSET, '; charset=utf-8'));
+    }
+  });
+
+  $.root().contents().each(function() {
+    if (this.type === 'directive' && /^\?xml\s/i.test(this.data)) {
+      this.data = this.data.replace(/(\sencoding\s*=\s*)(["'])[^"']*\2/i, '$1$2UTF-8$2');
+    }
+  });
+}
+
+module.exports = {
+  detectCharset,
+  decodeBody,
+  rewriteCharsetDeclarations
+};
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { loadConfig } = require('./config');
+const { transformHtml, fetchAndTransform } = require('./transform');
+const { detectCharset, decodeBody } = require('./charset');
+
+const USAGE = `Usage: faleproxy [options] [input]
+
+Replace text in HTML using the Faleproxy rules.
+
+  input                  HTML file, directory, http(s) URL, or - for stdin
+                         (default: stdin). Directories are processed
+                         recursively and need --output.
+
+Options:
+  -o, --output <path>    Write to this file, or directory for directory input
+                         (default: stdout)
+  -c, --config <file>    Config file with rules (default: faleproxy.config.json
+                         in the working directory, if present)
+  -b, --base-url <url>   Base URL for resolving relative links in file and
+                         stdin input; for a directory, the URL of its root
+  -a, --attributes       Also rewrite text attributes and meta descriptions
+  -h, --help             Show this help
+`;
+
+const HTML_EXTENSIONS = new Set(['.html', '.htm']);
+
+class UsageError extends Error {}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+    stream.on('end', () => resolve(readHtml(Buffer.concat(chunks))));
+    stream.on('error', reject);
+  });
+}
+
+// Decode HTML from the charset its BOM or <meta charset> declares
+function readHtml(buffer) {
+  return decodeBody(buffer, detectCharset(buffer));
+}
+
+// Every .html/.htm file below a directory, as paths relative to it,
+// leaving out the directory skip (an output directory inside the input)
+function findHtmlFiles(dir, skip, prefix = '') {
+  return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => {
+      const relative = path.join(prefix, entry.name);
+      if (entry.isDirectory()) {
+        return path.resolve(dir, relative) === skip ? [] : findHtmlFiles(dir, skip, relative);
+      }
+      return entry.isFile() && HTML_EXTENSIONS.has(path.extname(entry.name).toLowerCase())
+        ? [relative]
+        : [];
+    });
+}
+
+function writeOutput(file, content, stdout) {
+  if (file) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, content);
+  } else {
+    stdout.write(content);
+  }
+}
+
+function transformDirectory(inputDir, outputDir, options, stderr) {
+  if (!outputDir) {
+    throw new UsageError('--output is required when the input is a directory');
+  }
+
+  // Output written inside the input is not input for the next run
+  const files = findHtmlFiles(inputDir, path.resolve(outputDir));
+  files.forEach(file => {
+    const html = readHtml(fs.readFileSync(path.join(inputDir, file)));
+    // A base URL names the directory root, so each page gets its own URL below it
+    const baseUrl = options.baseUrl && new URL(file.split(path.sep).join('/'), options.baseUrl).href;
+    const { content } = transformHtml(html, { ...options, baseUrl });
+    writeOutput(path.join(outputDir, file), content);
+  });
+  stderr.write(`Transformed ${files.length} file${files.length === 1 ? '' : 's'} into ${outputDir}\n`);
+}
+
+/**
+ * Run the command line interface. Returns the process exit code:
+ * 0 on success, 1 on errors and 2 on invalid usage.
+ */
+async function run(argv, io = process) {
+  const { stdin, stdout, stderr } = io;
+
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o' },
+        config: { type: 'string', short: 'c' },
+        'base-url': { type: 'string', short: 'b' },
+        attributes: { type: 'boolean', short: 'a' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+
+    if (values.help) {
+      stdout.write(USAGE);
+      return 0;
+    }
+    if (positionals.length > 1) {
+      throw new UsageError('Only one input can be given');
+    }
+
+    const config = loadConfig(values.config);
+    const options = {
+      rules: config.rules,
+      keyRules: config.keyRules,
+      exclude: config.exclude,
+      replaceAttributes: values.attributes || Boolean(config.replaceAttributes),
+      replaceCssContent: Boolean(config.replaceCssContent),
+      baseUrl: values['base-url']
+    };
+    const input = positionals[0] || '-';
+
+    if (/^https?:\/\//i.test(input)) {
+      // The CLI runs on the user's own machine, so local addresses are fine
+      const { content } = await fetchAndTransform(input, { ...options, ssrf: false });
+      writeOutput(values.output, content, stdout);
+    } else if (input === '-') {
+      const { content } = transformHtml(await readStream(stdin), options);
+      writeOutput(values.output, content, stdout);
+    } else if (fs.existsSync(input) && fs.statSync(input).isDirectory()) {
+      transformDirectory(input, values.output, options, stderr);
+    } else {
+      const { content } = transformHtml(readHtml(fs.readFileSync(input)), options);
+      writeOutput(values.output, content, stdout);
+    }
+    return 0;
+  } catch (error) {
+    stderr.write(`faleproxy: ${error.message}\n`);
+    // parseArgs reports unknown or malformed options with ERR_PARSE_ARGS_* codes
+    if (error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS')) {
+      stderr.write('Run faleproxy --help for usage.\n');
+      return 2;
+    }
+    return 1;
+  }
+}
+
+module.exports = {
+  run
+};
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_RULES } = require('./rules');
+const { DEFAULT_LIMITS } = require('./upstream');
+const { DEFAULT_SESSION_OPTIONS } = require('./sessions');
+const { DEFAULT_CACHE_OPTIONS } = require('./cache');
+const { DEFAULT_RATE_LIMIT, DEFAULT_ASSET_RATE_LIMIT, DEFAULT_CONCURRENCY } = require('./rateLimit');
+const { DEFAULT_KEYS_FILE } = require('./apiKeys');
+const { DEFAULT_POLICY } = require('./policy');
+
+// Looked up in the working directory unless FALEPROXY_CONFIG points elsewhere
+const DEFAULT_CONFIG_FILE = 'faleproxy.config.json';
+
+const DEFAULTS = {
+  rules: DEFAULT_RULES,
+  // Rules applied to the keys of JSON responses, which are otherwise never
+  // rewritten
+  keyRules: [],
+  // Also rewrite alt text, tooltips, ARIA labels and description meta tags
+  replaceAttributes: false,
+  // Also replace text in CSS content: "..." strings, which pages show as text
+  replaceCssContent: false,
+  // Accept regex rules sent with requests, not only those from the config
+  // file and profiles. Only for trusted callers: a crafted pattern can
+  // stall the server.
+  allowRequestRegex: false,
+  // Extra CSS selectors for subtrees that must never be rewritten
+  exclude: [],
+  // Point links in /fetch results at /proxy so browsing stays in Faleproxy
+  navigable: false,
+  // Load images, styles, scripts and fonts of fetched pages through /asset
+  proxyAssets: false,
+  // Transform and return HTML error pages (4xx/5xx) instead of failing
+  renderErrorPages: false,
+  // Outbound fetch protection; allowHosts lists trusted internal hosts
+  // ("wiki.corp.example", "*.corp.example") and addresses ("10.0.0.0/8")
+  ssrf: {
+    allowHosts: []
+  },
+  // Sites Faleproxy may fetch: allow and deny list URL patterns
+  // ("*.yale.edu", "https://example.com/private"), schemes the allowed
+  // schemes; file is a JSON file with these settings, reloaded on change
+  policy: DEFAULT_POLICY,
+  // Upstream fetch limits: connectTimeout and timeout in ms, maxBodySize in
+  // bytes, maxRedirects in hops
+  limits: DEFAULT_LIMITS,
+  // Per-browser proxy sessions keeping upstream cookies: idleTimeout in ms,
+  // maxSessions kept in memory at once
+  sessions: {
+    enabled: true,
+    ...DEFAULT_SESSION_OPTIONS
+  },
+  // Cache of transformed pages: store is "memory" or "disk" (files in
+  // directory), holding up to maxEntries pages and maxBytes in all; pages
+  // over maxEntryBytes aren't cached
+  cache: {
+    enabled: true,
+    ...DEFAULT_CACHE_OPTIONS
+  },
+  // Requests per client (by IP address): burst at once, then requests per
+  // window ms; assets has the same settings for /asset
+  rateLimit: {
+    enabled: true,
+    ...DEFAULT_RATE_LIMIT,
+    assets: DEFAULT_ASSET_RATE_LIMIT
+  },
+  // Upstream fetches in flight, overall and per upstream host (0 for no
+  // limit); fetches over the limit wait for a slot
+  concurrency: DEFAULT_CONCURRENCY,
+  // Express "trust proxy" setting, so client IPs are read from
+  // X-Forwarded-For behind a reverse proxy
+  trustProxy: false,
+  // Named rule profiles ({ rules, keyRules, exclude, replaceAttributes,
+  // replaceCssContent }) that requests choose with "profile"
+  profiles: {},
+  // API keys, sent as X-API-Key or a bearer token. With required, the proxy
+  // routes refuse callers with neither a key nor a session signed in with
+  // one. keys lists keys ({ id, key, quota, allowedDomains, profiles });
+  // those created through /admin/keys, and all usage counts, are kept in
+  // keysFile.
+  auth: {
+    required: false,
+    keys: [],
+    keysFile: DEFAULT_KEYS_FILE
+  },
+  // Bearer token for the /admin routes, which are disabled without one
+  adminToken: null
+};
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Fill in defaults for any settings missing from a configuration object.
+ * Sections such as limits are merged key by key, so a config file only
+ * needs to name the settings it changes.
+ */
+function withDefaults(config = {}) {
+  const merged = { ...DEFAULTS, ...config };
+  Object.keys(DEFAULTS).forEach(key => {
+    if (isPlainObject(DEFAULTS[key]) && isPlainObject(config[key])) {
+      merged[key] = { ...DEFAULTS[key], ...config[key] };
+    }
+  });
+  return merged;
+}
+
+/**
+ * Load the Faleproxy configuration file and merge it over the defaults.
+ * A missing file is not an error; a malformed one is.
+ */
+function loadConfig(file = process.env.FALEPROXY_CONFIG) {
+  const configPath = path.resolve(file || DEFAULT_CONFIG_FILE);
+
+  if (!fs.existsSync(configPath)) {
+    if (file) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    return withDefaults();
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config file ${configPath}: ${error.message}`);
+  }
+
+  return withDefaults(parsed);
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  withDefaults,
+  loadConfig
+};
@@ -0,0 +1,88 @@
+const { applyRules } = require('./rules');
+const { resolveUrl, proxiedUrl } = require('./urls');
+
+// url(...) with a double-quoted, single-quoted or bare URL
+const CSS_URL = /\burl\(\s*(?:"((?:[^"\\\n]|\\.)*)"|'((?:[^'\\\n]|\\.)*)'|([^"'()\s]*))\s*\)/gi;
+
+// @import "file.css" (the url(...) form is covered by CSS_URL)
+const CSS_IMPORT = /(@import\s+)(["'])((?:(?!\2)[^\\\n]|\\.)*)\2/gi;
+
+// The value of a content declaration, but not of align-content and friends
+const CONTENT_DECLARATION = /((?<![\w-])content\s*:\s*)([^;}]*)/gi;
+const CSS_STRING = /(["'])((?:(?!\1)[^\\\n]|\\.)*)\1/g;
+
+/**
+ * Resolve the relative URLs of url(...) references and @import rules in a
+ * stylesheet or inline style against a base URL. Quoting is preserved.
+ * With assetProxy (the absolute URL of an /asset route), http(s) URLs are
+ * then pointed at it, so fonts, images and imported sheets load through
+ * the proxy too.
+ */
+function rewriteCssUrls(css, baseUrl, assetProxy) {
+  const rewrite = url => {
+    const resolved = resolveUrl(url, baseUrl);
+    return assetProxy && /^https?:\/\//i.test(resolved) ? proxiedUrl(assetProxy, resolved) : resolved;
+  };
+
+  return css
+    .replace(CSS_URL, (match, doubleQuoted, singleQuoted, bare) => {
+      if (doubleQuoted !== undefined) {
+        return `url("${rewrite(doubleQuoted)}")`;
+      }
+      if (singleQuoted !== undefined) {
+        return `url('${rewrite(singleQuoted)}')`;
+      }
+      return bare ? `url(${rewrite(bare)})` : match;
+    })
+    .replace(CSS_IMPORT, (match, prefix, quote, url) => `${prefix}${quote}${rewrite(url)}${quote}`);
+}
+
+/**
+ * Apply compiled rules to the strings of CSS content declarations, as in
+ * a::after { content: "Yale"; }, which browsers show as text. Everything
+ * else in the stylesheet is left alone.
+ */
+function replaceCssContent(css, rules) {
+  return css.replace(CONTENT_DECLARATION, (match, property, value) => {
+    return property + value.replace(CSS_STRING, (string, quote, text) => {
+      return quote + applyRules(text, rules) + quote;
+    });
+  });
+}
+
+/**
+ * Run the CSS passes over a cheerio document: URLs in <style> blocks and
+ * style attributes are resolved against baseUrl (when given) and, with
+ * options.assetProxy, pointed at the asset proxy. With
+ * options.replaceContent the rules are applied to content strings in
+ * <style> blocks.
+ */
+function rewriteDocumentCss($, baseUrl, options = {}) {
+  $('style').each(function() {
+    this.children.forEach(child => {
+      if (child.type !== 'text') {
+        return;
+      }
+      let css = child.data;
+      if (baseUrl) {
+        css = rewriteCssUrls(css, baseUrl, options.assetProxy);
+      }
+      if (options.replaceContent) {
+        css = replaceCssContent(css, options.rules);
+      }
+      child.data = css;
+    });
+  });
+
+  if (baseUrl) {
+    $('[style]').each(function() {
+      this.attribs.style = rewriteCssUrls(this.attribs.style, baseUrl, options.assetProxy);
+    });
+  }
+}
+
+module.exports = {
+  rewriteCssUrls,
+  replaceCssContent,
+  rewriteDocumentCss
+};
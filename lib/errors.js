@@ -0,0 +1,107 @@
+/**
+ * An error that should reach the API caller as a specific HTTP status with a
+ * machine-readable code, e.g. 403 BLOCKED_DESTINATION.
+ */
+class ProxyError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = 'ProxyError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  // Body of the JSON error response
+  toJSON() {
+    const body = { error: this.message, code: this.code };
+    if (this.details) {
+      body.details = this.details;
+    }
+    return body;
+  }
+}
+
+const DNS_ERRORS = new Set(['ENOTFOUND', 'EAI_AGAIN', 'EAI_FAIL', 'EAI_NODATA', 'EAI_NONAME']);
+const RESET_ERRORS = new Set(['ECONNRESET', 'EPIPE', 'ERR_STREAM_PREMATURE_CLOSE']);
+const UNREACHABLE_ERRORS = new Set(['EHOSTUNREACH', 'ENETUNREACH', 'EHOSTDOWN', 'ENETDOWN']);
+const TIMEOUT_ERRORS = new Set(['ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT']);
+const TLS_ERRORS = /^(ERR_TLS_|ERR_SSL_|CERT_|UNABLE_TO_|DEPTH_ZERO_SELF_SIGNED_CERT$|SELF_SIGNED_CERT_IN_CHAIN$|EPROTO$)/;
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * The error for an upstream that answered with a 4xx or 5xx status.
+ */
+function upstreamHttpError(status, statusText, url) {
+  return new ProxyError(`Failed to fetch content: upstream responded with HTTP ${status}`, {
+    status: 502,
+    code: 'UPSTREAM_HTTP_ERROR',
+    details: { status, statusText, url }
+  });
+}
+
+/**
+ * Turn an error from an upstream fetch into a ProxyError with the HTTP
+ * status, code and details the API returns:
+ *
+ *   502 DNS_FAILURE, CONNECTION_REFUSED, CONNECTION_RESET, HOST_UNREACHABLE,
+ *       TLS_ERROR, UPSTREAM_HTTP_ERROR (upstream 4xx/5xx), UPSTREAM_ERROR
+ *   504 UPSTREAM_TIMEOUT
+ *   422 INVALID_URL
+ *
+ * ProxyErrors pass through unchanged.
+ */
+function classifyUpstreamError(error, url) {
+  if (error instanceof ProxyError) {
+    return error;
+  }
+
+  const hostname = hostnameOf(url);
+  const code = error.code || (error.cause && error.cause.code);
+  const fail = (message, status, errorCode, details) => new ProxyError(
+    `Failed to fetch content: ${message}`,
+    { status, code: errorCode, details }
+  );
+
+  if (error.response) {
+    return upstreamHttpError(error.response.status, error.response.statusText, url);
+  }
+  if (code === 'ERR_INVALID_URL' || (!hostname && error instanceof TypeError)) {
+    return fail(`invalid URL ${url}`, 422, 'INVALID_URL', { url });
+  }
+  if (DNS_ERRORS.has(code)) {
+    return fail(`could not resolve ${hostname}`, 502, 'DNS_FAILURE', { hostname, reason: code });
+  }
+  if (code === 'ECONNREFUSED') {
+    return fail(`${hostname} refused the connection`, 502, 'CONNECTION_REFUSED', { hostname });
+  }
+  if (RESET_ERRORS.has(code)) {
+    return fail(`connection to ${hostname} was reset`, 502, 'CONNECTION_RESET', { hostname });
+  }
+  if (UNREACHABLE_ERRORS.has(code)) {
+    return fail(`${hostname} is unreachable`, 502, 'HOST_UNREACHABLE', { hostname, reason: code });
+  }
+  if (TIMEOUT_ERRORS.has(code)) {
+    return fail(`${hostname} timed out`, 504, 'UPSTREAM_TIMEOUT', { hostname });
+  }
+  if (code && TLS_ERRORS.test(code)) {
+    return fail(`TLS error talking to ${hostname}: ${error.message}`, 502, 'TLS_ERROR', {
+      hostname,
+      reason: code
+    });
+  }
+
+  return fail(error.message, 502, 'UPSTREAM_ERROR', { hostname });
+}
+
+module.exports = {
+  ProxyError,
+  upstreamHttpError,
+  classifyUpstreamError
+};
@@ -0,0 +1,149 @@
+const cheerio = require('cheerio');
+const { applyRules } = require('./rules');
+const { ProxyError } = require('./errors');
+const { replaceDocumentText, replaceAttributeText } = require('./textReplacer');
+const { rewriteCharsetDeclarations } = require('./charset');
+
+// Feed and sitemap elements whose text is a URL or identifier, not prose
+const XML_URL_ELEMENTS = ['link', 'guid', 'id', 'icon', 'logo', 'comments', 'docs', 'url', 'loc'];
+
+// Markup that is probably HTML, as found in the CDATA sections of RSS items
+const LOOKS_LIKE_HTML = /<[a-z!/]/i;
+
+// The same, entity-escaped in a text node, as feeds without CDATA send it
+const LOOKS_LIKE_ESCAPED_HTML = /&lt;[a-z!/]/i;
+
+// A JSON string literal, and whether it is an object key (followed by a
+// colon). Outside string literals valid JSON has no quotes, so matching
+// from the start of the document finds exactly its strings, in order.
+const JSON_STRING = /"(?:[^"\\]|\\.)*"(\s*:)?/g;
+
+/**
+ * Work out how a response body should be transformed from its Content-Type
+ * header: 'html', 'json', 'xml', 'svg' or 'text'. Responses without a
+ * Content-Type are treated as HTML; anything else unsupported gives null.
+ */
+function contentKind(contentType) {
+  const type = String(contentType || 'text/html').split(';')[0].trim().toLowerCase();
+
+  if (type === 'text/html' || type === 'application/xhtml+xml') {
+    return 'html';
+  }
+  if (type === 'application/json' || type === 'text/json' || type.endsWith('+json')) {
+    return 'json';
+  }
+  if (type === 'image/svg+xml') {
+    return 'svg';
+  }
+  if (type === 'application/xml' || type === 'text/xml' || type.endsWith('+xml')) {
+    return 'xml';
+  }
+  if (type === 'text/plain') {
+    return 'text';
+  }
+  return null;
+}
+
+/**
+ * Apply the rules to every string value of a JSON document. Keys are left
+ * alone unless keyRules are given, in which case those (and only those) are
+ * applied to the keys. Only the string literals that change are rewritten;
+ * numbers, whitespace, escapes and duplicate or "__proto__" keys are kept
+ * exactly as the upstream sent them.
+ */
+function transformJson(text, rules, keyRules = []) {
+  try {
+    JSON.parse(text);
+  } catch (error) {
+    throw new ProxyError(`Upstream sent invalid JSON: ${error.message}`, {
+      status: 502,
+      code: 'INVALID_JSON'
+    });
+  }
+
+  const content = text.replace(JSON_STRING, (literal, colon) => {
+    const value = JSON.parse(colon ? literal.slice(0, -colon.length) : literal);
+    const replaced = applyRules(value, colon ? keyRules : rules);
+    return replaced === value ? literal : JSON.stringify(replaced) + (colon || '');
+  });
+  return { content, title: '' };
+}
+
+// Apply the rules to the text of an HTML fragment, keeping its tags and URLs
+function replaceHtmlFragment(html, rules, exclude) {
+  const $ = cheerio.load(html, { decodeEntities: false }, false);
+  replaceDocumentText($, rules, { exclude });
+  return $.html();
+}
+
+// CDATA sections hold either plain text or, in feeds, an HTML fragment whose
+// tags and URLs must survive the replacement
+function replaceCdata(node, rules, exclude) {
+  const textNode = node.children[0];
+  if (!textNode) {
+    return;
+  }
+  textNode.data = LOOKS_LIKE_HTML.test(textNode.data)
+    ? replaceHtmlFragment(textNode.data, rules, exclude)
+    : applyRules(textNode.data, rules);
+}
+
+// A text node holding an escaped HTML fragment: unescaped, treated like
+// one in a CDATA section and escaped again
+function replaceEscapedHtml(node, html, rules, exclude) {
+  const unescaped = cheerio.load(html, { xmlMode: true }, false).text();
+  node.data = replaceHtmlFragment(unescaped, rules, exclude)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Apply the rules to the text nodes and CDATA sections of an XML document
+ * (RSS, Atom, SVG, ...), treating HTML in them, escaped or not, as HTML.
+ * Markup, attribute values and processing
+ * instructions are kept as they are unless replaceAttributes is set, and
+ * feed elements that hold URLs (<link>, <guid>, ...) are skipped.
+ */
+function transformXml(text, rules, options = {}) {
+  const $ = cheerio.load(text, { xmlMode: true, decodeEntities: false });
+  const exclude = [...XML_URL_ELEMENTS, ...(options.exclude || [])];
+  const outside = node => $(node.parent).closest(exclude.join(', ')).length === 0;
+
+  // Escaped HTML is set aside while the rest of the text is replaced, so
+  // the tags and URLs in it aren't read as text
+  const escaped = $.root().find('*').contents().toArray()
+    .filter(node => node.type === 'text' && LOOKS_LIKE_ESCAPED_HTML.test(node.data) && outside(node))
+    .map(node => [node, node.data]);
+  escaped.forEach(([node]) => {
+    node.data = '';
+  });
+  replaceDocumentText($, rules, { exclude });
+  escaped.forEach(([node, html]) => replaceEscapedHtml(node, html, rules, options.exclude));
+  $.root().find('*').contents().each(function() {
+    if (this.type === 'cdata' && outside(this)) {
+      replaceCdata(this, rules, options.exclude);
+    }
+  });
+  if (options.replaceAttributes) {
+    replaceAttributeText($, rules, { exclude });
+  }
+  rewriteCharsetDeclarations($);
+
+  // RSS channels, Atom feeds and SVG images all name themselves in <title>
+  return { content: $.xml(), title: $('title').first().text() };
+}
+
+/**
+ * Apply the rules to a plain-text document.
+ */
+function transformText(text, rules) {
+  return { content: applyRules(text, rules), title: '' };
+}
+
+module.exports = {
+  contentKind,
+  transformJson,
+  transformXml,
+  transformText
+};
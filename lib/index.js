@@ -0,0 +1,25 @@
+/**
+ * Public API of the Faleproxy library.
+ *
+ *   const { transformHtml, fetchAndTransform } = require('faleproxy');
+ *
+ *   const { content, title } = transformHtml(html, { baseUrl: 'https://www.yale.edu/' });
+ *   const page = await fetchAndTransform('yale.edu', { rules: [...] });
+ */
+
+const { DEFAULT_RULES, RuleError, compileRules, applyRules } = require('./rules');
+const { DEFAULT_EXCLUDE } = require('./textReplacer');
+const { normalizeUrl, transformHtml, fetchAndTransform } = require('./transform');
+const { loadConfig } = require('./config');
+
+module.exports = {
+  DEFAULT_RULES,
+  DEFAULT_EXCLUDE,
+  RuleError,
+  compileRules,
+  applyRules,
+  normalizeUrl,
+  transformHtml,
+  fetchAndTransform,
+  loadConfig
+};
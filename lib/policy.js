@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const { ProxyError } = require('./errors');
+const { isAllowedDomain } = require('./urls');
+
+// allow and deny hold URL patterns: a host ("www.yale.edu"), its
+// subdomains ("*.yale.edu") or any host ("*"), optionally with a scheme
+// ("https://*.yale.edu") and a path prefix ("example.com/private"). An
+// empty allow list allows every site the deny list doesn't name. schemes
+// lists the URL schemes fetches may use. file is a JSON file with the same
+// settings, checked for changes at most every reloadInterval ms.
+const DEFAULT_POLICY = {
+  allow: [],
+  deny: [],
+  schemes: ['http', 'https'],
+  file: null,
+  reloadInterval: 1000
+};
+
+const PATTERN = /^(?:([a-z][a-z0-9+.-]*):\/\/)?([^/?#]+)(\/[^?#]*)?$/i;
+const HOST = /^(\*|(\*\.)?[a-z0-9_-]+(\.[a-z0-9_-]+)*\.?)$/i;
+
+function normalizeHost(hostname) {
+  return hostname.toLowerCase().replace(/\.$/, '');
+}
+
+// Percent-decoded, so /%70rivate can't slip past a /private prefix, and
+// with repeated slashes collapsed, as most servers serve //private as
+// /private
+function normalizePath(pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (error) {
+    decoded = pathname;
+  }
+  return decoded.replace(/\/{2,}/g, '/');
+}
+
+/**
+ * Parse a policy pattern into { pattern, scheme, host, path }, scheme and
+ * path being null when the pattern doesn't restrict them. Throws on
+ * patterns that aren't a host with an optional scheme and path.
+ */
+function parsePattern(pattern) {
+  const match = PATTERN.exec(String(pattern).trim());
+  if (!match || !HOST.test(match[2])) {
+    throw new Error(`Invalid policy pattern: ${pattern}`);
+  }
+  const prefix = match[3] ? normalizePath(match[3]).replace(/\/$/, '') : '';
+  return {
+    pattern: String(pattern),
+    scheme: match[1] ? match[1].toLowerCase() : null,
+    host: normalizeHost(match[2]),
+    path: prefix || null
+  };
+}
+
+function matchesPattern(url, rule) {
+  const scheme = url.protocol.slice(0, -1);
+  if (rule.scheme && rule.scheme !== scheme) {
+    return false;
+  }
+  if (!isAllowedDomain(url.hostname, [rule.host])) {
+    return false;
+  }
+  if (rule.path) {
+    const pathname = normalizePath(url.pathname);
+    return pathname === rule.path || pathname.startsWith(`${rule.path}/`);
+  }
+  return true;
+}
+
+/**
+ * The error for a URL the policy refuses. reason is 'scheme' (a scheme
+ * outside schemes), 'denied' (it matches the deny pattern rule) or
+ * 'not-allowed' (it matches no allow pattern).
+ */
+function policyDeniedError(url, reason, rule) {
+  const { hostname } = new URL(url);
+  const details = { url, hostname, reason };
+  if (rule) {
+    details.rule = rule;
+  }
+  return new ProxyError(`Faleproxy's site policy does not allow fetching ${url}`, {
+    status: 403,
+    code: 'POLICY_DENIED',
+    details
+  });
+}
+
+/**
+ * Compile policy settings ({ allow, deny, schemes }) into a function that
+ * throws a POLICY_DENIED ProxyError for URLs the policy refuses. Deny
+ * patterns win over allow patterns. Throws on invalid settings.
+ */
+function compilePolicy(settings = {}) {
+  const { allow, deny, schemes } = { ...DEFAULT_POLICY, ...settings };
+  [allow, deny, schemes].forEach(list => {
+    if (!Array.isArray(list)) {
+      throw new Error('Policy allow, deny and schemes must be arrays');
+    }
+  });
+  const allowRules = allow.map(parsePattern);
+  const denyRules = deny.map(parsePattern);
+  const allowedSchemes = schemes.map(scheme => String(scheme).toLowerCase().replace(/:$/, ''));
+
+  return url => {
+    const parsed = new URL(url);
+    if (!allowedSchemes.includes(parsed.protocol.slice(0, -1))) {
+      throw policyDeniedError(url, 'scheme');
+    }
+    const denied = denyRules.find(rule => matchesPattern(parsed, rule));
+    if (denied) {
+      throw policyDeniedError(url, 'denied', denied.pattern);
+    }
+    if (allowRules.length > 0 && !allowRules.some(rule => matchesPattern(parsed, rule))) {
+      throw policyDeniedError(url, 'not-allowed');
+    }
+  };
+}
+
+/**
+ * Create the site policy deciding which URLs Faleproxy fetches, from the
+ * settings in options or, with options.file, a JSON policy file whose
+ * settings replace them. The file is reread when it changes, so the policy
+ * can be edited without a restart; an invalid edit is logged and the
+ * previous policy kept. A missing or invalid file at startup throws.
+ *
+ *   checkUrl(url) - throw a POLICY_DENIED ProxyError unless url is allowed;
+ *                   meant for every request, redirect hops included
+ *   reload()      - reread the policy file now
+ */
+function createPolicy(options = {}) {
+  const { file, reloadInterval, ...settings } = { ...DEFAULT_POLICY, ...options };
+  const policyFile = file && path.resolve(file);
+  let check = compilePolicy(settings);
+  let lastCheck = 0;
+  let version = null;
+
+  // Compile the file's settings. Its version is noted even when they turn
+  // out invalid, so a broken edit is reported once, not on every check.
+  function readFile(stat) {
+    version = `${stat.mtimeMs}:${stat.size}`;
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(policyFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read policy file ${policyFile}: ${error.message}`);
+    }
+    check = compilePolicy({ ...settings, ...parsed });
+  }
+
+  function reload() {
+    readFile(fs.statSync(policyFile));
+  }
+
+  // Reread the file if it changed since it was last read
+  function refresh() {
+    const now = Date.now();
+    if (now - lastCheck < reloadInterval) {
+      return;
+    }
+    lastCheck = now;
+    try {
+      const stat = fs.statSync(policyFile);
+      if (`${stat.mtimeMs}:${stat.size}` !== version) {
+        readFile(stat);
+      }
+    } catch (error) {
+      console.error('Error reloading site policy, keeping the previous one:', error.message);
+    }
+  }
+
+  if (policyFile) {
+    reload();
+    lastCheck = Date.now();
+  }
+
+  return {
+    checkUrl(url) {
+      if (policyFile) {
+        refresh();
+      }
+      check(url);
+    },
+    reload
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  parsePattern,
+  compilePolicy,
+  policyDeniedError,
+  createPolicy
+};
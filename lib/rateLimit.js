@@ -0,0 +1,173 @@
+const { ProxyError } = require('./errors');
+
+// Page routes: a client may make burst requests at once, then requests per
+// window (in ms) on average
+const DEFAULT_RATE_LIMIT = {
+  requests: 60,
+  window: 60 * 1000,
+  burst: 30
+};
+
+// /asset, which a single page may call dozens of times
+const DEFAULT_ASSET_RATE_LIMIT = {
+  requests: 1200,
+  window: 60 * 1000,
+  burst: 300
+};
+
+// Upstream fetches in flight at once, overall and per upstream host; 0 for
+// no limit
+const DEFAULT_CONCURRENCY = {
+  maxFetches: 50,
+  maxPerHost: 6
+};
+
+// Full buckets are forgotten once this many clients are tracked
+const MAX_TRACKED_CLIENTS = 10000;
+
+/**
+ * The error for a client that has used up its rate limit, to be sent with
+ * a Retry-After header of retryAfter seconds.
+ */
+function rateLimitedError(retryAfter) {
+  return new ProxyError(`Too many requests; try again in ${retryAfter} s`, {
+    status: 429,
+    code: 'RATE_LIMITED',
+    details: { retryAfter }
+  });
+}
+
+/**
+ * Create a token-bucket rate limiter. Each client key has a bucket of
+ * options.burst tokens, refilled at options.requests per options.window ms.
+ *
+ * take(key) spends a token if there is one and returns { allowed,
+ * remaining, retryAfter }, retryAfter being the seconds until the next
+ * token when the request isn't allowed.
+ */
+function createRateLimiter(options = {}) {
+  const { requests, window, burst } = { ...DEFAULT_RATE_LIMIT, ...options };
+  if (!(requests > 0) || !(window > 0) || !(burst >= 1)) {
+    throw new Error('Rate limits need positive requests and window and a burst of at least 1');
+  }
+  const perMs = requests / window;
+  const buckets = new Map();
+
+  function level(bucket, now) {
+    return Math.min(burst, bucket.tokens + (now - bucket.updated) * perMs);
+  }
+
+  function take(key) {
+    const now = Date.now();
+    if (buckets.size >= MAX_TRACKED_CLIENTS) {
+      for (const [client, bucket] of buckets) {
+        if (level(bucket, now) >= burst) {
+          buckets.delete(client);
+        }
+      }
+    }
+
+    const bucket = buckets.get(key);
+    const tokens = bucket ? level(bucket, now) : burst;
+    if (tokens < 1) {
+      buckets.set(key, { tokens, updated: now });
+      return { allowed: false, remaining: 0, retryAfter: Math.ceil((1 - tokens) / perMs / 1000) };
+    }
+    buckets.set(key, { tokens: tokens - 1, updated: now });
+    return { allowed: true, remaining: Math.floor(tokens - 1), retryAfter: 0 };
+  }
+
+  return { take };
+}
+
+/**
+ * Create the limiter on concurrent upstream fetches, at most
+ * options.maxFetches overall and options.maxPerHost to any one host.
+ *
+ * acquire(host, signal) resolves with a release function once a slot is
+ * free, waiting in line otherwise; aborting signal gives up the wait and
+ * rejects. Call release when the response has been read.
+ */
+function createConcurrencyLimiter(options = {}) {
+  const settings = { ...DEFAULT_CONCURRENCY, ...options };
+  const maxFetches = settings.maxFetches || Infinity;
+  const maxPerHost = settings.maxPerHost || Infinity;
+  let active = 0;
+  const perHost = new Map();
+  const queue = [];
+
+  function available(host) {
+    return active < maxFetches && (perHost.get(host) || 0) < maxPerHost;
+  }
+
+  function start(host) {
+    active++;
+    perHost.set(host, (perHost.get(host) || 0) + 1);
+    let released = false;
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      active--;
+      const remaining = perHost.get(host) - 1;
+      if (remaining > 0) {
+        perHost.set(host, remaining);
+      } else {
+        perHost.delete(host);
+      }
+      next();
+    };
+  }
+
+  // Start the longest-waiting fetches that now have a slot
+  function next() {
+    for (let i = 0; i < queue.length; i++) {
+      if (available(queue[i].host)) {
+        const [waiter] = queue.splice(i--, 1);
+        waiter.resolve(start(waiter.host));
+      }
+    }
+  }
+
+  function acquire(hostname, signal) {
+    const host = hostname.toLowerCase();
+    if (available(host)) {
+      return Promise.resolve(start(host));
+    }
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        queue.splice(queue.indexOf(waiter), 1);
+        reject(signal.reason || new Error('Aborted'));
+      };
+      const waiter = {
+        host,
+        resolve: release => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          resolve(release);
+        }
+      };
+      queue.push(waiter);
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+        } else {
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      }
+    });
+  }
+
+  return { acquire, stats: () => ({ active, queued: queue.length }) };
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMIT,
+  DEFAULT_ASSET_RATE_LIMIT,
+  DEFAULT_CONCURRENCY,
+  rateLimitedError,
+  createRateLimiter,
+  createConcurrencyLimiter
+};
@@ -0,0 +1,184 @@
+/**
+ * Replacement rules engine.
+ *
+ * A rule describes one find/replace step. Rules are applied in order, each
+ * one operating on the output of the previous rule:
+ *
+ *   {
+ *     "find": "Yale",        // literal text, or a pattern when regex is true
+ *     "replace": "Fale",     // replacement template ($&, $1, $<name>, $$)
+ *     "regex": false,        // treat find as a regular expression
+ *     "flags": "",           // extra RegExp flags (g is always added)
+ *     "wholeWord": false,    // only match when not part of a larger word
+ *     "preserveCase": false  // match any casing and mirror it in the output
+ *   }
+ */
+
+class RuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RuleError';
+  }
+}
+
+// Yale -> Fale in every casing, but never inside words such as "Yalesville"
+const DEFAULT_RULES = [
+  { find: 'Yale', replace: 'Fale', wholeWord: true, preserveCase: true }
+];
+
+const ALLOWED_FLAGS = /^[imsuy]*$/;
+
+// Letters, combining marks, digits and connectors all count as word
+// characters, so "Yale's" is a whole word but "éYale" and "Yale_x" are not
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}\\p{Pc}]';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isUpper(char) {
+  return char !== char.toLowerCase() && char === char.toUpperCase();
+}
+
+function isLower(char) {
+  return char !== char.toUpperCase() && char === char.toLowerCase();
+}
+
+/**
+ * Give the replacement the same casing pattern as the matched text:
+ * "YALE" -> "FALE", "yale" -> "fale", "Yale" -> "Fale", "yAlE" -> "fAlE".
+ */
+function matchCase(source, replacement) {
+  const letters = [...source].filter(char => isUpper(char) || isLower(char));
+  if (letters.length === 0) {
+    return replacement;
+  }
+
+  if (letters.length > 1 && letters.every(isUpper)) {
+    return replacement.toUpperCase();
+  }
+  if (letters.every(isLower)) {
+    return replacement.toLowerCase();
+  }
+
+  const [first, ...rest] = letters;
+  if (isUpper(first) && rest.every(isLower)) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+
+  // Mixed casing: copy it character by character where the strings overlap
+  const sourceChars = [...source];
+  return [...replacement].map((char, index) => {
+    const model = sourceChars[index];
+    if (model === undefined) return char;
+    if (isUpper(model)) return char.toUpperCase();
+    if (isLower(model)) return char.toLowerCase();
+    return char;
+  }).join('');
+}
+
+/**
+ * Expand a replacement template ($$, $&, $1..$99, $<name>) for one match.
+ */
+function expandTemplate(template, match) {
+  return template.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, ref, name) => {
+    if (ref === '$') return '$';
+    if (ref === '&') return match[0];
+    if (name !== undefined) {
+      return match.groups && name in match.groups ? (match.groups[name] || '') : token;
+    }
+    const group = Number(ref);
+    return group > 0 && group < match.length ? (match[group] || '') : token;
+  });
+}
+
+/**
+ * Validate a list of rule definitions and compile them into matchers.
+ * Throws a RuleError describing the first invalid rule.
+ */
+function compileRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new RuleError('Rules must be an array');
+  }
+
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule !== 'object') {
+      throw new RuleError(`Rule ${index} must be an object`);
+    }
+    if (typeof rule.find !== 'string' || rule.find === '') {
+      throw new RuleError(`Rule ${index} needs a non-empty "find" string`);
+    }
+    if (typeof rule.replace !== 'string') {
+      throw new RuleError(`Rule ${index} needs a "replace" string`);
+    }
+
+    let flags = (rule.flags || '').replace(/g/g, '');
+    if (!ALLOWED_FLAGS.test(flags)) {
+      throw new RuleError(`Rule ${index} has unsupported flags "${rule.flags}"`);
+    }
+    if (rule.preserveCase && !flags.includes('i')) {
+      flags += 'i';
+    }
+
+    let source = rule.regex ? rule.find : escapeRegExp(rule.find);
+    if (rule.wholeWord) {
+      // Unicode property escapes need the u flag
+      source = `(?<!${WORD_CHAR})(?:${source})(?!${WORD_CHAR})`;
+      if (!flags.includes('u')) {
+        flags += 'u';
+      }
+    }
+
+    let pattern;
+    try {
+      pattern = new RegExp(source, `g${flags}`);
+    } catch (error) {
+      throw new RuleError(`Rule ${index} has an invalid pattern: ${error.message}`);
+    }
+
+    return {
+      pattern,
+      replace: rule.replace,
+      preserveCase: Boolean(rule.preserveCase)
+    };
+  });
+}
+
+/**
+ * Find every match of a compiled rule in the text, together with the text
+ * that should replace it.
+ */
+function findMatches(text, rule) {
+  return Array.from(text.matchAll(rule.pattern), match => {
+    const expanded = expandTemplate(rule.replace, match);
+    return {
+      start: match.index,
+      end: match.index + match[0].length,
+      replacement: rule.preserveCase ? matchCase(match[0], expanded) : expanded
+    };
+  });
+}
+
+/**
+ * Apply compiled rules to a piece of text, in order.
+ */
+function applyRules(text, compiledRules) {
+  return compiledRules.reduce((result, rule) => {
+    let output = '';
+    let last = 0;
+    findMatches(result, rule).forEach(match => {
+      output += result.slice(last, match.start) + match.replacement;
+      last = match.end;
+    });
+    return output + result.slice(last);
+  }, text);
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  RuleError,
+  compileRules,
+  findMatches,
+  applyRules,
+  matchCase
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { CookieJar, domainMatch } = require('tough-cookie');
+
+// Cookie identifying a browser's proxy session
+const SESSION_COOKIE = 'faleproxy_session';
+
+// idleTimeout in ms; the least recently used sessions are dropped beyond
+// maxSessions
+const DEFAULT_SESSION_OPTIONS = {
+  idleTimeout: 24 * 60 * 60 * 1000,
+  maxSessions: 1000
+};
+
+/**
+ * Parse a Cookie request header into a { name: value } object. Values that
+ * aren't valid percent-encoding are kept as they are.
+ */
+function parseCookieHeader(header = '') {
+  const cookies = {};
+  header.split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) {
+      return;
+    }
+    const name = pair.slice(0, index).trim();
+    let value = pair.slice(index + 1).trim().replace(/^"(.*)"$/, '$1');
+    try {
+      value = decodeURIComponent(value);
+    } catch (error) {
+      // Keep the raw value
+    }
+    if (name && !(name in cookies)) {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+}
+
+/**
+ * A new, empty jar for upstream cookies, as kept in a session.
+ */
+function createCookieJar() {
+  return new CookieJar(undefined, { looseMode: true });
+}
+
+/**
+ * Create the in-memory store of proxy sessions. Each session has an id
+ * (the value of the SESSION_COOKIE cookie) and a tough-cookie jar holding
+ * the upstream cookies set while browsing in it.
+ *
+ * get(id) returns a live session or null, and counts as activity; sessions
+ * idle for longer than options.idleTimeout expire. create() starts a new
+ * session, dropping expired ones and, past options.maxSessions, the least
+ * recently used. create(jar) starts it with the cookies already in jar.
+ */
+function createSessionStore(options = {}) {
+  const { idleTimeout, maxSessions } = { ...DEFAULT_SESSION_OPTIONS, ...options };
+  // Map order doubles as least recently used order
+  const sessions = new Map();
+
+  function isExpired(session, now) {
+    return now - session.lastSeen > idleTimeout;
+  }
+
+  function get(id) {
+    const session = sessions.get(id);
+    if (!session) {
+      return null;
+    }
+    const now = Date.now();
+    sessions.delete(id);
+    if (isExpired(session, now)) {
+      return null;
+    }
+    session.lastSeen = now;
+    sessions.set(id, session);
+    return session;
+  }
+
+  function create(jar = createCookieJar()) {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (sessions.size < maxSessions && !isExpired(session, now)) {
+        break;
+      }
+      sessions.delete(id);
+    }
+
+    const session = {
+      id: crypto.randomBytes(24).toString('base64url'),
+      jar,
+      lastSeen: now
+    };
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  return { get, create, size: () => sessions.size };
+}
+
+// Every unexpired cookie in a jar, as tough-cookie Cookie objects
+async function jarCookies(jar) {
+  const cookies = await promisify(jar.store.getAllCookies.bind(jar.store))();
+  return cookies.filter(cookie => cookie.TTL() > 0);
+}
+
+/**
+ * List the cookies in a jar for display, sorted by domain, path and name.
+ */
+async function listCookies(jar) {
+  const cookies = await jarCookies(jar);
+  return cookies
+    .map(cookie => ({
+      name: cookie.key,
+      value: cookie.value,
+      domain: cookie.domain,
+      path: cookie.path,
+      expires: cookie.expires instanceof Date ? cookie.expires.toISOString() : null,
+      hostOnly: Boolean(cookie.hostOnly),
+      secure: Boolean(cookie.secure),
+      httpOnly: Boolean(cookie.httpOnly),
+      sameSite: cookie.sameSite || null
+    }))
+    .sort((a, b) => (
+      a.domain.localeCompare(b.domain) || a.path.localeCompare(b.path) || a.name.localeCompare(b.name)
+    ));
+}
+
+/**
+ * Remove the cookies in a jar, or only those a site at domain would be sent
+ * (its own and its parent domains'). Resolves with the number removed.
+ */
+async function clearCookies(jar, domain) {
+  const cookies = await jarCookies(jar);
+  const host = domain && domain.trim().toLowerCase().replace(/\.$/, '');
+  const matching = host
+    ? cookies.filter(cookie => cookie.domain === host || domainMatch(host, cookie.domain))
+    : cookies;
+  const removeCookie = promisify(jar.store.removeCookie.bind(jar.store));
+  for (const cookie of matching) {
+    await removeCookie(cookie.domain, cookie.path, cookie.key);
+  }
+  return matching.length;
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  DEFAULT_SESSION_OPTIONS,
+  parseCookieHeader,
+  createCookieJar,
+  createSessionStore,
+  listCookies,
+  clearCookies
+};
@@ -0,0 +1,150 @@
+const dns = require('dns');
+const net = require('net');
+const { ProxyError } = require('./errors');
+const { isAllowedDomain } = require('./urls');
+
+// Address ranges an outbound fetch must never reach: "this" network,
+// private networks, loopback, link-local (including the 169.254.169.254
+// cloud metadata service), carrier-grade NAT, documentation and benchmark
+// ranges, multicast and reserved space. IPv4-mapped IPv6 addresses are
+// checked against the IPv4 ranges by BlockList itself; NAT64 and 6to4
+// addresses, which reach whatever IPv4 address they embed, are refused
+// outright.
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.0.2.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['198.51.100.0', 24, 'ipv4'],
+  ['203.0.113.0', 24, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['64:ff9b:1::', 48, 'ipv6'],
+  ['100::', 64, 'ipv6'],
+  ['2001:db8::', 32, 'ipv6'],
+  ['2002::', 16, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockedAddresses = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, family]) => {
+  blockedAddresses.addSubnet(address, prefix, family);
+});
+
+/**
+ * True when an IP address falls in a private, loopback, link-local,
+ * metadata or otherwise reserved range.
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function blockedError(hostname, address) {
+  return new ProxyError('Requests to private or reserved network addresses are not allowed', {
+    status: 403,
+    code: 'BLOCKED_DESTINATION',
+    details: address && address !== hostname ? { hostname, address } : { hostname }
+  });
+}
+
+// Split allowlist entries into host patterns ("intranet.example.com",
+// "*.corp.example.com") and IP addresses or CIDR ranges ("10.1.2.0/24")
+function parseAllowlist(entries = []) {
+  const hosts = [];
+  const addresses = new net.BlockList();
+
+  entries.forEach(entry => {
+    const [address, prefix] = String(entry).split('/');
+    const family = net.isIP(address);
+    if (family) {
+      const type = family === 4 ? 'ipv4' : 'ipv6';
+      if (prefix === undefined) {
+        addresses.addAddress(address, type);
+      } else {
+        addresses.addSubnet(address, Number(prefix), type);
+      }
+    } else {
+      hosts.push(String(entry));
+    }
+  });
+
+  return { hosts, addresses };
+}
+
+/**
+ * Create the SSRF guard used for outbound fetches.
+ *
+ * checkUrl(url) rejects URLs whose host is an IP literal in a blocked range
+ * or a localhost name, and is meant to run before every request, including
+ * each redirect hop. lookup() is a drop-in replacement for dns.lookup that
+ * rejects hostnames resolving to blocked addresses; used as the socket
+ * lookup, it also catches DNS rebinding between the check and the connect.
+ *
+ * Hosts and addresses in options.allowHosts are trusted and never blocked.
+ */
+function createGuard(options = {}) {
+  const allow = parseAllowlist(options.allowHosts);
+
+  function isAllowedAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && allow.addresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  function checkUrl(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (isAllowedDomain(hostname, allow.hosts) || isAllowedAddress(hostname)) {
+      return;
+    }
+    const name = hostname.toLowerCase().replace(/\.$/, '');
+    if (name === 'localhost' || name.endsWith('.localhost') || isBlockedAddress(hostname)) {
+      throw blockedError(hostname);
+    }
+  }
+
+  function lookup(hostname, lookupOptions, callback) {
+    if (typeof lookupOptions === 'function') {
+      callback = lookupOptions;
+      lookupOptions = {};
+    }
+
+    dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+      if (!isAllowedDomain(hostname, allow.hosts)) {
+        const blocked = addresses.find(({ address }) => (
+          isBlockedAddress(address) && !isAllowedAddress(address)
+        ));
+        if (blocked) {
+          return callback(blockedError(hostname, blocked.address));
+        }
+      }
+      if (lookupOptions.all) {
+        return callback(null, addresses);
+      }
+      return callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  return { checkUrl, lookup };
+}
+
+module.exports = {
+  isBlockedAddress,
+  createGuard
+};
@@ -0,0 +1,267 @@
+const cheerio = require('cheerio');
+const { RuleError, findMatches, applyRules } = require('./rules');
+
+// Elements that flow inline with their surrounding text. Text inside them is
+// joined with the neighbouring text, so "Ya<b>le</b>" is seen as "Yale".
+const INLINE_ELEMENTS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'big', 'cite', 'data', 'del', 'dfn', 'em',
+  'font', 'i', 'ins', 'label', 'mark', 'nobr', 'q', 's', 'small', 'span',
+  'strike', 'strong', 'sub', 'sup', 'time', 'tt', 'u'
+]);
+
+// Elements whose text is never shown as page content
+const SKIPPED_ELEMENTS = new Set(['script', 'style']);
+
+// Subtrees that are left untouched unless a caller asks otherwise: code
+// samples, user input, editable regions and anything the page author marked
+// with data-faleproxy-skip. <noscript> holds raw markup in the parsed tree.
+const DEFAULT_EXCLUDE = [
+  'noscript',
+  'code',
+  'pre',
+  'kbd',
+  'samp',
+  'textarea',
+  '[contenteditable]:not([contenteditable="false" i])',
+  '[data-faleproxy-skip]'
+];
+
+// Attributes whose values are shown to people as tooltips, labels or
+// placeholders. Attributes that carry URLs are deliberately absent.
+const TEXT_ATTRIBUTES = [
+  'alt', 'title', 'placeholder', 'label', 'aria-label', 'aria-description',
+  'aria-placeholder', 'aria-roledescription', 'aria-valuetext'
+];
+
+// Input types whose value attribute is the visible caption of a button
+const BUTTON_INPUT_TYPES = new Set(['button', 'submit', 'reset']);
+
+// Meta tags that feed search results, link previews and social cards
+const TEXT_META = new Set([
+  'description', 'og:title', 'og:description', 'og:site_name', 'og:image:alt'
+]);
+
+// Parts of twitter:* meta names that mark values holding URLs rather than
+// text, as in twitter:image, twitter:player:stream or twitter:app:url:iphone
+const URL_META_PARTS = new Set(['url', 'image', 'src', 'player', 'stream', 'domain']);
+
+function isElement(node) {
+  return node.type === 'tag' || node.type === 'script' || node.type === 'style';
+}
+
+/**
+ * Copy the unmatched text between two offsets of the joined run back into
+ * the segments it came from.
+ */
+function copyRange(run, output, from, to) {
+  run.forEach((segment, index) => {
+    const start = Math.max(from, segment.start);
+    const end = Math.min(to, segment.end);
+    if (start < end) {
+      output[index] += segment.text.slice(start - segment.start, end - segment.start);
+    }
+  });
+}
+
+/**
+ * Write a replacement into the segments covered by the match. Each segment
+ * keeps as many characters as it contributed to the match and the last one
+ * takes whatever is left over, so the inline markup around the text stays.
+ */
+function distributeReplacement(run, output, match) {
+  const covered = run
+    .map((segment, index) => ({ segment, index }))
+    .filter(({ segment }) => segment.start < match.end && segment.end > match.start);
+
+  if (covered.length === 0) {
+    // Zero-length match: insert into the segment where it occurred
+    const index = run.findIndex(segment => match.start < segment.end);
+    output[index === -1 ? run.length - 1 : index] += match.replacement;
+    return;
+  }
+
+  let remaining = match.replacement;
+  covered.forEach(({ segment, index }, position) => {
+    if (position === covered.length - 1) {
+      output[index] += remaining;
+      return;
+    }
+    const length = Math.min(match.end, segment.end) - Math.max(match.start, segment.start);
+    output[index] += remaining.slice(0, length);
+    remaining = remaining.slice(length);
+  });
+}
+
+/**
+ * Apply the rules to a run of adjacent text nodes as if they were a single
+ * string, writing the result back node by node.
+ */
+function replaceInRun(textNodes, rules) {
+  let texts = textNodes.map(node => node.data);
+
+  rules.forEach(rule => {
+    let offset = 0;
+    const run = texts.map(text => {
+      const segment = { text, start: offset, end: offset + text.length };
+      offset = segment.end;
+      return segment;
+    });
+    const joined = texts.join('');
+    const matches = findMatches(joined, rule);
+    if (matches.length === 0) {
+      return;
+    }
+
+    const output = texts.map(() => '');
+    let position = 0;
+    matches.forEach(match => {
+      copyRange(run, output, position, match.start);
+      distributeReplacement(run, output, match);
+      position = match.end;
+    });
+    copyRange(run, output, position, joined.length);
+    texts = output;
+  });
+
+  textNodes.forEach((node, index) => {
+    // Assign the data directly so replaced text is never re-parsed as HTML
+    node.data = texts[index];
+  });
+}
+
+/**
+ * Check a list of CSS selectors for exclusion zones, throwing a RuleError
+ * for the first one that is not a string or does not parse.
+ */
+function validateSelectors(selectors) {
+  if (!Array.isArray(selectors)) {
+    throw new RuleError('Exclude selectors must be an array');
+  }
+  const $ = cheerio.load('');
+  selectors.forEach(selector => {
+    if (typeof selector !== 'string' || selector.trim() === '') {
+      throw new RuleError('Exclude selectors must be non-empty strings');
+    }
+    try {
+      $(selector);
+    } catch (error) {
+      throw new RuleError(`Invalid exclude selector "${selector}": ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Collect the elements matched by the default exclusions plus any extra
+ * selectors given by the caller.
+ */
+function findExcluded($, exclude = []) {
+  return new Set($([...DEFAULT_EXCLUDE, ...exclude].join(', ')).toArray());
+}
+
+function isInside(node, elements) {
+  for (let current = node; current; current = current.parent) {
+    if (elements.has(current)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Apply compiled rules to the visible text of a cheerio document. Text that
+ * is split across inline elements inside the same block is matched as one
+ * piece; block elements and skipped elements break the text into runs.
+ * Excluded subtrees (see DEFAULT_EXCLUDE) are never modified; callers can
+ * add their own selectors through options.exclude.
+ */
+function replaceDocumentText($, rules, options = {}) {
+  const excluded = findExcluded($, options.exclude);
+  let run = [];
+
+  function flush() {
+    if (run.length > 0) {
+      replaceInRun(run, rules);
+      run = [];
+    }
+  }
+
+  function walk(node) {
+    (node.children || []).forEach(child => {
+      if (child.type === 'text') {
+        run.push(child);
+      } else if (isElement(child)) {
+        if (SKIPPED_ELEMENTS.has(child.name) || excluded.has(child)) {
+          flush();
+        } else if (INLINE_ELEMENTS.has(child.name)) {
+          walk(child);
+        } else {
+          flush();
+          walk(child);
+          flush();
+        }
+      }
+    });
+  }
+
+  walk($.root()[0]);
+  flush();
+}
+
+function isTextMeta(name) {
+  if (TEXT_META.has(name)) {
+    return true;
+  }
+  if (!name.startsWith('twitter:')) {
+    return false;
+  }
+  const parts = name.split(':');
+  return parts[parts.length - 1] === 'alt' || !parts.some(part => URL_META_PARTS.has(part));
+}
+
+/**
+ * Apply compiled rules to human-readable attribute values (alt text,
+ * tooltips, ARIA labels, button captions) and to the content of the meta
+ * tags used for descriptions and link previews. URL attributes are never
+ * touched, and neither is anything inside an excluded subtree.
+ */
+function replaceAttributeText($, rules, options = {}) {
+  const excluded = findExcluded($, options.exclude);
+  const replaceAttr = (element, attr) => {
+    const value = $(element).attr(attr);
+    if (value && !isInside(element, excluded)) {
+      $(element).attr(attr, applyRules(value, rules));
+    }
+  };
+
+  TEXT_ATTRIBUTES.forEach(attr => {
+    $(`[${attr}]`).each(function() {
+      if (!SKIPPED_ELEMENTS.has(this.name)) {
+        replaceAttr(this, attr);
+      }
+    });
+  });
+
+  // A <button> shows its content, not its value, which is only submitted
+  $('input[value]').each(function() {
+    const type = ($(this).attr('type') || '').toLowerCase();
+    if (BUTTON_INPUT_TYPES.has(type)) {
+      replaceAttr(this, 'value');
+    }
+  });
+
+  $('meta[content]').each(function() {
+    const name = ($(this).attr('name') || $(this).attr('property') || '').toLowerCase();
+    if (isTextMeta(name)) {
+      replaceAttr(this, 'content');
+    }
+  });
+}
+
+module.exports = {
+  INLINE_ELEMENTS,
+  TEXT_ATTRIBUTES,
+  DEFAULT_EXCLUDE,
+  validateSelectors,
+  replaceDocumentText,
+  replaceAttributeText
+};
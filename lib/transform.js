@@ -0,0 +1,321 @@
+const cheerio = require('cheerio');
+const { DEFAULT_RULES, compileRules } = require('./rules');
+const {
+  validateSelectors,
+  replaceDocumentText,
+  replaceAttributeText
+} = require('./textReplacer');
+const { createGuard } = require('./ssrf');
+const { fetchUpstream } = require('./upstream');
+const { ProxyError, upstreamHttpError } = require('./errors');
+const { contentKind, transformJson, transformXml, transformText } = require('./formats');
+const { detectCharset, decodeBody, rewriteCharsetDeclarations } = require('./charset');
+const { rewriteUrlAttributes, proxyLinks, proxyForms, proxyResources } = require('./urls');
+const { rewriteDocumentCss } = require('./css');
+const { cacheKey } = require('./cache');
+
+// Upstream response headers worth showing to the caller
+const EXPOSED_HEADERS = [
+  'content-type', 'content-language', 'content-length', 'last-modified',
+  'etag', 'cache-control', 'expires', 'date', 'server', 'retry-after'
+];
+
+function pickHeaders(headers) {
+  const picked = {};
+  EXPOSED_HEADERS.forEach(name => {
+    if (headers[name] !== undefined) {
+      picked[name] = headers[name];
+    }
+  });
+  return picked;
+}
+
+// Extra CSS that keeps pages readable inside the web UI's iframe
+const VIEWER_STYLES = `
+      <style>
+        img, video, iframe { max-width: 100%; height: auto; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+      </style>
+    `;
+
+/**
+ * Add https:// to URLs typed without a protocol.
+ */
+function normalizeUrl(url) {
+  return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+}
+
+// Compile and validate everything up front so bad options fail before any
+// network traffic happens
+function prepareOptions(options = {}) {
+  const exclude = options.exclude || [];
+  validateSelectors(exclude);
+
+  return {
+    rules: compileRules(options.rules || DEFAULT_RULES),
+    keyRules: compileRules(options.keyRules || []),
+    exclude,
+    replaceAttributes: Boolean(options.replaceAttributes),
+    replaceCssContent: Boolean(options.replaceCssContent),
+    linkProxy: options.linkProxy,
+    formProxy: options.formProxy,
+    assetProxy: options.assetProxy,
+    viewerStyles: Boolean(options.viewerStyles)
+  };
+}
+
+// The options that change what a page transforms into, which the cache key
+// of a fetched page includes
+function cacheVariant(options) {
+  return {
+    rules: options.rules || DEFAULT_RULES,
+    keyRules: options.keyRules || [],
+    exclude: options.exclude || [],
+    replaceAttributes: Boolean(options.replaceAttributes),
+    replaceCssContent: Boolean(options.replaceCssContent),
+    linkProxy: options.linkProxy,
+    formProxy: options.formProxy,
+    assetProxy: options.assetProxy,
+    viewerStyles: Boolean(options.viewerStyles),
+    renderErrorPages: Boolean(options.renderErrorPages)
+  };
+}
+
+// Resolve a page's <base href>, which may itself be relative
+function documentBase(baseHref, pageUrl) {
+  try {
+    return new URL(baseHref.trim(), pageUrl).href;
+  } catch (error) {
+    return pageUrl;
+  }
+}
+
+function transformDocument(html, baseUrl, options) {
+  // Use cheerio to parse HTML and selectively replace text content, not URLs
+  const $ = cheerio.load(html, {
+    decodeEntities: false,  // Preserve original entities
+    xmlMode: false,         // Handle as HTML
+    normalizeWhitespace: false // Preserve whitespace
+  });
+
+  // The output is a Unicode string, whatever the page was encoded in
+  rewriteCharsetDeclarations($);
+
+  // URL that relative references resolve against: the page's own
+  // <base href> if it has one, otherwise the URL it was loaded from
+  let documentUrl = baseUrl;
+  if (baseUrl) {
+    // Add base tag to ensure relative URLs work correctly, unless the page
+    // already has one
+    const baseHref = $('base').attr('href');
+    if (baseHref) {
+      documentUrl = documentBase(baseHref, baseUrl);
+    } else {
+      $('head').prepend($('<base>').attr('href', baseUrl));
+    }
+
+    // Fix relative URLs in every attribute that holds one
+    rewriteUrlAttributes($, documentUrl);
+
+    // Keep link clicks and form submissions inside the proxy
+    if (options.linkProxy) {
+      proxyLinks($, options.linkProxy, documentUrl);
+    }
+    if (options.formProxy) {
+      proxyForms($, options.formProxy, documentUrl);
+    }
+
+    // Load images, styles, scripts and media through the asset proxy
+    if (options.assetProxy) {
+      proxyResources($, options.assetProxy, documentUrl);
+    }
+  }
+
+  // Resolve url(...) and @import in stylesheets and style attributes, and
+  // optionally replace the text of content: "..." declarations
+  rewriteDocumentCss($, documentUrl, {
+    rules: options.rules,
+    replaceContent: options.replaceCssContent,
+    assetProxy: options.assetProxy
+  });
+
+  // Apply the replacement rules to the page text, including the title
+  replaceDocumentText($, options.rules, { exclude: options.exclude });
+
+  // Optionally rewrite human-readable attributes and meta descriptions too
+  if (options.replaceAttributes) {
+    replaceAttributeText($, options.rules, { exclude: options.exclude });
+  }
+  const title = $('title').text();
+
+  if (options.viewerStyles) {
+    $('head').append(VIEWER_STYLES);
+  }
+
+  return { content: $.html(), title };
+}
+
+/**
+ * Apply the replacement rules to an HTML document.
+ *
+ * Options:
+ *   baseUrl            - URL the document was loaded from; when given, a
+ *                        <base> tag is added and relative URLs are resolved
+ *   rules              - rule definitions (see lib/rules.js), defaults to
+ *                        DEFAULT_RULES
+ *   exclude            - extra CSS selectors for subtrees to leave alone
+ *   replaceAttributes  - also rewrite text attributes and meta descriptions
+ *   replaceCssContent  - also apply the rules to content: "..." strings in
+ *                        <style> blocks
+ *   linkProxy          - absolute URL of a /proxy route; when given with
+ *                        baseUrl, links are rewritten to go through it
+ *   formProxy          - absolute URL of a /form route; when given with
+ *                        baseUrl, forms are submitted through it
+ *   assetProxy         - absolute URL of an /asset route; when given with
+ *                        baseUrl, images, styles, scripts and media (and
+ *                        CSS url() references) load through it
+ *   viewerStyles       - append the CSS used by the web UI's iframe
+ *
+ * Returns { content, title }. Throws a RuleError for invalid rules or
+ * selectors.
+ */
+function transformHtml(html, options = {}) {
+  return transformDocument(html, options.baseUrl, prepareOptions(options));
+}
+
+// Transform a downloaded body according to its kind (see contentKind)
+function transformBody(text, kind, baseUrl, options) {
+  switch (kind) {
+    case 'json':
+      return transformJson(text, options.rules, options.keyRules);
+    case 'xml':
+    case 'svg':
+      return transformXml(text, options.rules, options);
+    case 'text':
+      return transformText(text, options.rules);
+    default:
+      return transformDocument(text, baseUrl, options);
+  }
+}
+
+/**
+ * Download a page and run it through transformHtml, using the URL it was
+ * finally served from (after redirects) as the base URL. JSON, XML (RSS,
+ * Atom), SVG and plain-text responses are transformed according to their
+ * Content-Type instead: only JSON string values, XML text and CDATA, and
+ * the whole of a text file are rewritten. Bodies are decoded from the
+ * charset given by the BOM, Content-Type or document (see lib/charset.js)
+ * and charset declarations in the output say UTF-8. Accepts the same options as
+ * transformHtml except baseUrl, plus:
+ *
+ *   ssrf    - SSRF guard settings ({ allowHosts: [...] }, see lib/ssrf.js);
+ *             pass false to allow private and loopback addresses
+ *   limits  - timeouts, body size and redirect limits (see DEFAULT_LIMITS
+ *             in lib/upstream.js)
+ *   renderErrorPages - transform HTML error pages (4xx/5xx) instead of
+ *             rejecting with UPSTREAM_HTTP_ERROR
+ *   keyRules - rule definitions applied to JSON object keys, which are
+ *             otherwise never changed
+ *   method, data, headers - request method, body and extra headers, for
+ *             forwarding form submissions (GET with no body by default)
+ *   cookieJar - tough-cookie CookieJar to send cookies from and store
+ *             upstream cookies in (see lib/sessions.js)
+ *   checkUrl - called with the page URL and every redirect hop before it
+ *             is requested (or served from the cache); throws to refuse it
+ *   concurrency - limiter from createConcurrencyLimiter() (see
+ *             lib/rateLimit.js) capping upstream fetches in flight
+ *   cache   - cache from createCache() (see lib/cache.js) for plain GET
+ *             requests. Pages are looked up only when no cookies would be
+ *             sent for them, and stored only if HTTP caching rules allow.
+ *
+ * Returns { content, title, url, status, headers, finalUrl, redirects,
+ * contentType }: url is the normalised page URL, status the upstream HTTP
+ * status, headers a selection of upstream response headers, finalUrl the
+ * URL after redirects, redirects the hops followed ([{ url, status,
+ * location }]) and contentType the upstream Content-Type. With a cache,
+ * cacheStatus says how the result was produced: HIT (served from the
+ * cache), REVALIDATED (from the cache, after the upstream confirmed it with
+ * 304 Not Modified) or MISS.
+ * Failures reject with a ProxyError (see lib/errors.js).
+ */
+async function fetchAndTransform(url, options = {}) {
+  const prepared = prepareOptions(options);
+  const pageUrl = normalizeUrl(url);
+  const guard = options.ssrf === false ? null : createGuard(options.ssrf);
+
+  // Only plain GETs are cached, and a cached page is only served to
+  // callers that have no cookies for it
+  const cache = options.cache && (options.method || 'GET') === 'GET' && options.data === undefined
+    ? options.cache
+    : null;
+  const key = cache && cacheKey(pageUrl, cacheVariant(options));
+  const cookies = cache && options.cookieJar ? await options.cookieJar.getCookieString(pageUrl) : '';
+  const cached = cache && !cookies ? await cache.lookup(key) : null;
+  if (cached && cache.isFresh(cached)) {
+    if (options.checkUrl) {
+      [pageUrl, ...cached.result.redirects.map(hop => hop.location)].forEach(hopUrl => options.checkUrl(hopUrl));
+    }
+    return { ...cached.result, url: pageUrl, cacheStatus: 'HIT' };
+  }
+
+  // Fetch the content from the provided URL, revalidating a stale entry
+  const renderErrorPages = Boolean(options.renderErrorPages);
+  const response = await fetchUpstream(pageUrl, {
+    guard,
+    checkUrl: options.checkUrl,
+    method: options.method,
+    data: options.data,
+    headers: { ...options.headers, ...(cached && cache.conditionalHeaders(cached)) },
+    cookieJar: options.cookieJar,
+    concurrency: options.concurrency,
+    limits: options.limits,
+    allowErrorStatus: renderErrorPages
+  });
+
+  if (cached && response.status === 304) {
+    const entry = await cache.revalidated(key, cached, response);
+    return { ...entry.result, url: pageUrl, cacheStatus: 'REVALIDATED' };
+  }
+
+  const contentType = response.headers['content-type'] || 'text/html';
+  const kind = contentKind(contentType);
+
+  // Only HTML error pages are worth showing; anything else is still an error
+  if (response.status >= 400 && kind !== 'html') {
+    throw upstreamHttpError(response.status, response.statusText, response.finalUrl);
+  }
+  if (!kind) {
+    throw new ProxyError(`Cannot transform content of type ${contentType}`, {
+      status: 422,
+      code: 'UNSUPPORTED_CONTENT_TYPE',
+      details: { contentType, url: response.finalUrl }
+    });
+  }
+
+  const result = {
+    ...transformBody(
+      decodeBody(response.data, detectCharset(response.data, contentType)),
+      kind,
+      response.finalUrl,
+      prepared
+    ),
+    url: pageUrl,
+    status: response.status,
+    headers: pickHeaders(response.headers),
+    finalUrl: response.finalUrl,
+    redirects: response.redirects,
+    contentType
+  };
+
+  if (!cache) {
+    return result;
+  }
+  await cache.save(key, pageUrl, response, result);
+  return { ...result, cacheStatus: 'MISS' };
+}
+
+module.exports = {
+  normalizeUrl,
+  transformHtml,
+  fetchAndTransform
+};
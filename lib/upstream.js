@@ -0,0 +1,295 @@
+const http = require('http');
+const https = require('https');
+const { Transform } = require('stream');
+const axios = require('axios');
+const { ProxyError, classifyUpstreamError } = require('./errors');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// Limits applied to every upstream fetch unless overridden
+const DEFAULT_LIMITS = {
+  connectTimeout: 10000,        // ms to establish the connection (incl. TLS)
+  timeout: 30000,               // ms for the whole fetch, redirects included
+  maxBodySize: 10 * 1024 * 1024, // bytes of (decompressed) response body
+  maxRedirects: 10
+};
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Whether following a redirect turns the request into a body-less GET, as
+// browsers do: always for 303, and for POST after 301 and 302
+function redirectsToGet(status, method) {
+  return status === 303 || ((status === 301 || status === 302) && method === 'POST');
+}
+
+// Store a response's Set-Cookie headers in a cookie jar. Cookies the jar
+// refuses (for another domain, say) are dropped, as a browser would.
+async function storeCookies(cookieJar, setCookie, url) {
+  for (const header of [].concat(setCookie || [])) {
+    await cookieJar.setCookie(header, url, { ignoreError: true });
+  }
+}
+
+function connectTimeoutError(host, connectTimeout) {
+  return new ProxyError(`Timed out connecting to ${host} after ${connectTimeout} ms`, {
+    status: 504,
+    code: 'CONNECT_TIMEOUT',
+    details: { hostname: host, timeout: connectTimeout }
+  });
+}
+
+function bodyTooLargeError(maxBodySize) {
+  return new ProxyError(`Upstream response is larger than ${maxBodySize} bytes`, {
+    status: 502,
+    code: 'BODY_TOO_LARGE',
+    details: { maxBodySize }
+  });
+}
+
+// An agent whose sockets are destroyed if they are not connected (and, for
+// HTTPS, through the TLS handshake) within connectTimeout. The guard's
+// lookup, when given, vets every address the agent connects to.
+function createAgent(Agent, connectedEvent, { lookup, connectTimeout }) {
+  const agent = new Agent(lookup ? { lookup } : {});
+  const createConnection = agent.createConnection;
+
+  agent.createConnection = function(options, callback) {
+    const socket = createConnection.call(this, options, callback);
+    const timer = setTimeout(() => {
+      socket.destroy(connectTimeoutError(options.host, connectTimeout));
+    }, connectTimeout);
+    socket.once(connectedEvent, () => clearTimeout(timer));
+    socket.once('close', () => clearTimeout(timer));
+    return socket;
+  };
+
+  return agent;
+}
+
+// Read a response stream into a Buffer, giving up once it grows past the limit
+function readBody(stream, maxBodySize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        stream.destroy();
+        reject(bodyTooLargeError(maxBodySize));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+    stream.on('close', () => {
+      if (!stream.readableEnded) {
+        reject(new Error('Upstream response was interrupted'));
+      }
+    });
+  });
+}
+
+// Pass a response stream through, failing it once it grows past the limit
+function limitStream(stream, maxBodySize) {
+  let size = 0;
+  const limited = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      callback(size > maxBodySize ? bodyTooLargeError(maxBodySize) : null, chunk);
+    }
+  });
+  stream.on('error', error => limited.destroy(error));
+  stream.on('close', () => {
+    if (!stream.readableEnded) {
+      limited.destroy(new Error('Upstream response was interrupted'));
+    }
+  });
+  // A reader that gives up early closes the upstream connection too
+  limited.on('close', () => {
+    if (!limited.writableFinished) {
+      stream.destroy();
+    }
+  });
+  return stream.pipe(limited);
+}
+
+/**
+ * Request a URL (GET unless told otherwise), following redirects one hop at
+ * a time so each hop can be vetted by the SSRF guard (see lib/ssrf.js)
+ * before it is requested.
+ *
+ * Options:
+ *   guard             - guard from createGuard(); omit to allow any address
+ *   checkUrl          - called with each hop's URL before it is requested;
+ *                       throws (a ProxyError) to refuse the hop
+ *   method            - HTTP method, 'GET' by default
+ *   data              - request body (a Buffer or string) for POST and co.
+ *   headers           - extra request headers
+ *   cookieJar         - tough-cookie CookieJar; its cookies for each hop are
+ *                       sent, and every hop's Set-Cookie headers stored
+ *   concurrency       - limiter from createConcurrencyLimiter() (see
+ *                       lib/rateLimit.js); each hop waits for a slot for its
+ *                       host, which counts against the deadline
+ *   limits            - overrides for DEFAULT_LIMITS
+ *   allowErrorStatus  - resolve with 4xx/5xx responses instead of rejecting
+ *   stream            - resolve as soon as the headers arrive, with data as
+ *                       a readable stream that errors with BODY_TOO_LARGE
+ *                       or is destroyed at the deadline
+ *
+ * Resolves with the final axios response, its data read into a Buffer (or
+ * a stream, see above), the
+ * URL it was served from in finalUrl and the hops that led there in
+ * redirects ([{ url, status, location }], oldest first). usedCookies is
+ * true if any hop sent or received cookies.
+ * Every failure rejects with a ProxyError: blocked hops and exceeded limits
+ * (BLOCKED_DESTINATION, CONNECT_TIMEOUT, UPSTREAM_TIMEOUT, BODY_TOO_LARGE,
+ * TOO_MANY_REDIRECTS, UNSUPPORTED_PROTOCOL) as well as network errors and
+ * non-2xx responses, classified by classifyUpstreamError in lib/errors.js.
+ */
+async function fetchUpstream(url, options = {}) {
+  const {
+    guard, checkUrl, cookieJar, concurrency, allowErrorStatus = false, stream = false
+  } = options;
+  let { method = 'GET', data, headers = {} } = options;
+  const limits = { ...DEFAULT_LIMITS, ...options.limits };
+  const agentOptions = {
+    lookup: guard && guard.lookup,
+    connectTimeout: limits.connectTimeout
+  };
+  const agents = {
+    httpAgent: createAgent(http.Agent, 'connect', agentOptions),
+    httpsAgent: createAgent(https.Agent, 'secureConnect', agentOptions)
+  };
+
+  // One deadline for the whole fetch, however many hops it takes
+  const controller = new AbortController();
+  let timedOut = false;
+  let body = null;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+    if (body) {
+      body.destroy();
+    }
+  }, limits.timeout);
+
+  let currentUrl = url;
+  let streaming = false;
+  let usedCookies = false;
+  // Frees the current hop's concurrency slot
+  let release = () => {};
+  const redirectChain = [];
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const { protocol } = new URL(currentUrl);
+      if (protocol !== 'http:' && protocol !== 'https:') {
+        throw new ProxyError(`Unsupported protocol ${protocol}`, {
+          status: 422,
+          code: 'UNSUPPORTED_PROTOCOL',
+          details: { url: currentUrl }
+        });
+      }
+      if (guard) {
+        guard.checkUrl(currentUrl);
+      }
+      if (checkUrl) {
+        checkUrl(currentUrl);
+      }
+      if (concurrency) {
+        release = await concurrency.acquire(new URL(currentUrl).hostname, controller.signal);
+      }
+
+      const cookie = cookieJar ? await cookieJar.getCookieString(currentUrl) : '';
+      const response = await axios.request({
+        url: currentUrl,
+        method,
+        data,
+        ...agents,
+        headers: { 'User-Agent': USER_AGENT, ...headers, ...(cookie && { Cookie: cookie }) },
+        maxRedirects: 0,
+        responseType: 'stream',
+        signal: controller.signal,
+        validateStatus: status => status >= 200 && (status < 400 || allowErrorStatus)
+      });
+      body = response.data;
+      usedCookies = usedCookies || Boolean(cookie) || Boolean(response.headers['set-cookie']);
+      if (cookieJar) {
+        await storeCookies(cookieJar, response.headers['set-cookie'], currentUrl);
+      }
+
+      const location = response.headers.location;
+      if (REDIRECT_STATUSES.has(response.status) && location) {
+        body.destroy();
+        if (redirects >= limits.maxRedirects) {
+          throw new ProxyError(`Stopped after ${limits.maxRedirects} redirects`, {
+            status: 502,
+            code: 'TOO_MANY_REDIRECTS',
+            details: { maxRedirects: limits.maxRedirects }
+          });
+        }
+        release();
+        const nextUrl = new URL(location, currentUrl).href;
+        redirectChain.push({ url: currentUrl, status: response.status, location: nextUrl });
+        currentUrl = nextUrl;
+        if (redirectsToGet(response.status, method)) {
+          method = 'GET';
+          data = undefined;
+          headers = Object.fromEntries(Object.entries(headers)
+            .filter(([name]) => name.toLowerCase() !== 'content-type'));
+        }
+        continue;
+      }
+
+      if (Number(response.headers['content-length']) > limits.maxBodySize) {
+        body.destroy();
+        throw bodyTooLargeError(limits.maxBodySize);
+      }
+      if (stream) {
+        // The deadline keeps running until the caller has read the body
+        streaming = true;
+        response.data = limitStream(body, limits.maxBodySize);
+        response.data.once('close', () => {
+          clearTimeout(timer);
+          release();
+        });
+      } else {
+        response.data = await readBody(body, limits.maxBodySize);
+      }
+      response.finalUrl = currentUrl;
+      response.redirects = redirectChain;
+      response.usedCookies = usedCookies;
+      return response;
+    }
+  } catch (error) {
+    // Don't leave the body of a rejected (non-2xx) response open
+    if (error.response && error.response.data && error.response.data.destroy) {
+      error.response.data.destroy();
+    }
+    if (timedOut) {
+      throw new ProxyError(`Upstream did not respond within ${limits.timeout} ms`, {
+        status: 504,
+        code: 'UPSTREAM_TIMEOUT',
+        details: { hostname: new URL(currentUrl).hostname, timeout: limits.timeout }
+      });
+    }
+    // Errors raised by the guard's lookup or the connect timer arrive
+    // wrapped by axios
+    throw classifyUpstreamError(
+      error.cause instanceof ProxyError ? error.cause : error,
+      currentUrl
+    );
+  } finally {
+    if (!streaming) {
+      clearTimeout(timer);
+      release();
+    }
+  }
+}
+
+module.exports = {
+  USER_AGENT,
+  DEFAULT_LIMITS,
+  fetchUpstream
+};
@@ -0,0 +1,306 @@
+// Attributes holding a single URL, on any element. SVG's xlink:href is
+// stored as href by the HTML parser but keeps its prefix in XML mode.
+const URL_ATTRIBUTES = new Set([
+  'href', 'src', 'action', 'formaction', 'poster', 'cite', 'background',
+  'longdesc', 'data-src', 'xlink:href'
+]);
+
+// Attributes holding a URL only on particular elements
+const ELEMENT_URL_ATTRIBUTES = {
+  object: new Set(['data'])
+};
+
+// Attributes holding comma-separated image candidates ("a.png 1x, b.png 2x")
+const SRCSET_ATTRIBUTES = new Set(['srcset', 'imagesrcset', 'data-srcset']);
+
+// Attributes that load subresources (images, media, styles, scripts, fonts
+// via <link>), by selector. srcset-style attributes are in SRCSET_ATTRIBUTES.
+const RESOURCE_ATTRIBUTES = [
+  ['img, source, track, audio, video, script, embed, input[type="image" i]', 'src'],
+  ['[data-src]', 'data-src'],
+  ['video', 'poster'],
+  ['object', 'data'],
+  ['body, table, td, th', 'background']
+];
+
+// <link rel> values whose href is a subresource rather than a page
+const RESOURCE_LINK_RELS = new Set([
+  'stylesheet', 'icon', 'shortcut', 'apple-touch-icon', 'apple-touch-icon-precomposed',
+  'mask-icon', 'preload', 'prefetch', 'modulepreload', 'manifest'
+]);
+
+// Query parameter of the /form route naming the URL a form submits to. GET
+// forms carry it (and any other proxy parameters) as hidden inputs, since
+// browsers replace the query string of a GET form's action.
+const FORM_TARGET_PARAM = 'faleproxy_url';
+
+// A URL scheme such as http:, mailto: or data: (RFC 3986, section 3.1)
+const SCHEME = /^[a-z][a-z\d+.-]*:/i;
+
+/**
+ * Resolve a possibly relative URL against a base URL. URLs that already
+ * have a scheme, protocol-relative URLs, fragment links and values that
+ * can't be parsed are returned unchanged.
+ */
+function resolveUrl(value, baseUrl) {
+  const url = value.trim();
+  if (url === '' || SCHEME.test(url) || url.startsWith('//') || url.startsWith('#')) {
+    return value;
+  }
+  try {
+    return new URL(url, baseUrl).href;
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Split a srcset value into { url, descriptor } candidates, following the
+ * HTML parsing rules: URLs may contain commas (as data: URLs do), and a
+ * comma only separates candidates after a URL's descriptors.
+ */
+function parseSrcset(value) {
+  const candidates = [];
+  let position = 0;
+
+  while (position < value.length) {
+    // Skip whitespace and stray commas between candidates
+    const start = value.slice(position).search(/[^\s,]/);
+    if (start === -1) {
+      break;
+    }
+    position += start;
+
+    const urlEnd = value.slice(position).search(/\s|$/);
+    let url = value.slice(position, position + urlEnd);
+    position += urlEnd;
+
+    let descriptor = '';
+    if (/,+$/.test(url)) {
+      // "a.png," ends the candidate without descriptors
+      url = url.replace(/,+$/, '');
+    } else {
+      let depth = 0;
+      const descriptorStart = position;
+      while (position < value.length && (value[position] !== ',' || depth > 0)) {
+        if (value[position] === '(') {
+          depth++;
+        } else if (value[position] === ')') {
+          depth = Math.max(0, depth - 1);
+        }
+        position++;
+      }
+      descriptor = value.slice(descriptorStart, position).trim();
+    }
+
+    if (url) {
+      candidates.push({ url, descriptor });
+    }
+  }
+
+  return candidates;
+}
+
+// Rebuild a srcset value with each candidate URL passed through mapUrl
+function mapSrcset(value, mapUrl) {
+  return parseSrcset(value)
+    .map(({ url, descriptor }) => [mapUrl(url), descriptor].filter(Boolean).join(' '))
+    .join(', ');
+}
+
+/**
+ * Resolve every URL of a srcset value against a base URL.
+ */
+function resolveSrcset(value, baseUrl) {
+  return mapSrcset(value, url => resolveUrl(url, baseUrl));
+}
+
+/**
+ * Resolve the relative URLs in every URL-carrying attribute of a cheerio
+ * document (links, images, media, forms, quotes, SVG references, srcset
+ * candidates and <object data>) against a base URL. <base href> itself is
+ * resolved too, so a relative base still works once the page is moved.
+ */
+function rewriteUrlAttributes($, baseUrl) {
+  $('*').each(function() {
+    const element = this;
+    const elementAttributes = ELEMENT_URL_ATTRIBUTES[element.name];
+
+    Object.keys(element.attribs).forEach(name => {
+      const value = element.attribs[name];
+      if (SRCSET_ATTRIBUTES.has(name)) {
+        element.attribs[name] = resolveSrcset(value, baseUrl);
+      } else if (URL_ATTRIBUTES.has(name) || (elementAttributes && elementAttributes.has(name))) {
+        element.attribs[name] = resolveUrl(value, baseUrl);
+      }
+    });
+  });
+}
+
+/**
+ * The URL of a proxy route (such as /proxy or /asset) that fetches the
+ * given absolute URL. A #fragment stays outside the query so the browser
+ * still scrolls to it.
+ */
+function proxiedUrl(proxyUrl, url) {
+  const hashIndex = url.indexOf('#');
+  const target = hashIndex === -1 ? url : url.slice(0, hashIndex);
+  const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+  const separator = proxyUrl.includes('?') ? '&' : '?';
+  return `${proxyUrl}${separator}url=${encodeURIComponent(target)}${hash}`;
+}
+
+// The absolute http(s) URL a link points to, or null for other schemes,
+// fragment-only links and values that don't parse
+function httpTarget(href, baseUrl) {
+  const url = href.trim();
+  if (url === '' || url.startsWith('#')) {
+    return null;
+  }
+  try {
+    const target = new URL(url, baseUrl);
+    return target.protocol === 'http:' || target.protocol === 'https:' ? target.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Point the http(s) links of a cheerio document (<a href> and <area href>)
+ * at a proxy route, so following them stays inside the proxy. Relative and
+ * protocol-relative links are resolved against baseUrl first; fragment-only
+ * links, mailto: and the like are left alone.
+ */
+function proxyLinks($, proxyUrl, baseUrl) {
+  $('a[href], area[href]').each(function() {
+    const target = httpTarget(this.attribs.href, baseUrl);
+    if (target) {
+      this.attribs.href = proxiedUrl(proxyUrl, target);
+    }
+  });
+}
+
+/**
+ * Point the forms of a cheerio document at a form proxy route, keeping
+ * their method and encoding. The original action (or the page URL for
+ * forms without one) travels in the FORM_TARGET_PARAM query parameter, or
+ * in hidden inputs for GET forms. Submit buttons with their own formaction
+ * are redirected too, except in GET forms, where the hidden inputs decide.
+ */
+function proxyForms($, formProxy, baseUrl) {
+  $('form').each(function() {
+    const method = (this.attribs.method || 'get').trim().toLowerCase();
+    if (method === 'dialog') {
+      return;
+    }
+    const target = httpTarget(this.attribs.action || baseUrl, baseUrl);
+    if (!target) {
+      return;
+    }
+
+    const proxy = new URL(formProxy);
+    proxy.searchParams.set(FORM_TARGET_PARAM, target);
+
+    if (method === 'get') {
+      const params = [...proxy.searchParams];
+      proxy.search = '';
+      this.attribs.action = proxy.href;
+      params.reverse().forEach(([name, value]) => {
+        $(this).prepend($('<input type="hidden">').attr('name', name).attr('value', value));
+      });
+      return;
+    }
+
+    this.attribs.action = proxy.href;
+    $(this).find('[formaction]').each(function() {
+      const buttonTarget = httpTarget(this.attribs.formaction, baseUrl);
+      if (buttonTarget) {
+        const buttonProxy = new URL(formProxy);
+        buttonProxy.searchParams.set(FORM_TARGET_PARAM, buttonTarget);
+        this.attribs.formaction = buttonProxy.href;
+      }
+    });
+  });
+}
+
+// Rewrite a URL to go through a proxy route if it is an http(s) URL
+function proxyUrlValue(value, proxyUrl, baseUrl) {
+  const target = httpTarget(value, baseUrl);
+  return target ? proxiedUrl(proxyUrl, target) : value;
+}
+
+// Point an element's resource attribute at the asset proxy. Its integrity
+// hash no longer holds for a rewritten stylesheet, and crossorigin would
+// ask the proxy for the origin's CORS answer, so both go.
+function proxyResourceAttr(element, attr, assetProxy, baseUrl) {
+  const value = element.attribs[attr];
+  const proxied = proxyUrlValue(value, assetProxy, baseUrl);
+  if (proxied !== value) {
+    element.attribs[attr] = proxied;
+    delete element.attribs.integrity;
+    delete element.attribs.crossorigin;
+  }
+}
+
+/**
+ * Point the subresource URLs of a cheerio document (images, srcset
+ * candidates, media, scripts, stylesheet and icon <link>s, <object data>)
+ * at an asset proxy route, so the browser never contacts the origin
+ * directly. CSS url() references are handled by lib/css.js.
+ */
+function proxyResources($, assetProxy, baseUrl) {
+  RESOURCE_ATTRIBUTES.forEach(([selector, attr]) => {
+    $(selector).each(function() {
+      if (this.attribs[attr]) {
+        proxyResourceAttr(this, attr, assetProxy, baseUrl);
+      }
+    });
+  });
+
+  $('link[href]').each(function() {
+    const rels = (this.attribs.rel || '').toLowerCase().split(/\s+/);
+    if (rels.some(rel => RESOURCE_LINK_RELS.has(rel))) {
+      proxyResourceAttr(this, 'href', assetProxy, baseUrl);
+    }
+  });
+
+  $('*').each(function() {
+    Object.keys(this.attribs).forEach(name => {
+      if (SRCSET_ATTRIBUTES.has(name)) {
+        this.attribs[name] = mapSrcset(this.attribs[name], url => proxyUrlValue(url, assetProxy, baseUrl));
+      }
+    });
+  });
+}
+
+/**
+ * True when a hostname matches one of a list of domain patterns: an exact
+ * name ("www.yale.edu"), a wildcard for its subdomains ("*.yale.edu", not
+ * the domain itself) or "*" for any host. Case and a trailing dot are
+ * ignored on both sides. The site policy, API key domain limits and SSRF
+ * allowlist all match hosts this way.
+ */
+function isAllowedDomain(hostname, patterns) {
+  const normalize = name => String(name).toLowerCase().replace(/\.$/, '');
+  const host = normalize(hostname);
+  return patterns.some(pattern => {
+    const domain = normalize(pattern);
+    if (domain === '*') {
+      return true;
+    }
+    return domain.startsWith('*.') ? host.endsWith(domain.slice(1)) : host === domain;
+  });
+}
+
+module.exports = {
+  FORM_TARGET_PARAM,
+  isAllowedDomain,
+  resolveUrl,
+  proxiedUrl,
+  proxyLinks,
+  proxyForms,
+  proxyResources,
+  parseSrcset,
+  resolveSrcset,
+  rewriteUrlAttributes
+};
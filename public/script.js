@@ -7,6 +7,58 @@ function debounce(func, wait) {
     };
 }
 
+// User-facing explanations for the error codes returned by /fetch
+const ERROR_MESSAGES = {
+    INVALID_URL: () => "That doesn't look like a valid web address.",
+    UNSUPPORTED_PROTOCOL: () => 'Only http:// and https:// addresses are supported.',
+    BLOCKED_DESTINATION: () => 'That address points to a private or internal network, so Faleproxy will not fetch it.',
+    DNS_FAILURE: details => `Couldn't find ${details.hostname || 'that site'}. Check the address for typos.`,
+    CONNECTION_REFUSED: details => `${details.hostname || 'The site'} refused the connection. It may be down.`,
+    CONNECTION_RESET: details => `The connection to ${details.hostname || 'the site'} was interrupted. Please try again.`,
+    HOST_UNREACHABLE: details => `${details.hostname || 'The site'} can't be reached from the proxy.`,
+    TLS_ERROR: details => `${details.hostname || 'The site'} has a problem with its secure connection (${details.reason || 'TLS error'}).`,
+    CONNECT_TIMEOUT: details => `${details.hostname || 'The site'} took too long to accept the connection.`,
+    UPSTREAM_TIMEOUT: details => `${details.hostname || 'The site'} took too long to respond.`,
+    BODY_TOO_LARGE: () => 'The page is too large for Faleproxy to process.',
+    TOO_MANY_REDIRECTS: () => 'The site redirected too many times.',
+    UNSUPPORTED_CONTENT_TYPE: details => `Faleproxy can't transform ${details.contentType || 'this kind of content'}.`,
+    INVALID_JSON: () => 'The site sent malformed JSON.',
+    RATE_LIMITED: details => `You're sending requests too quickly. Please wait ${details.retryAfter || 'a few'} seconds and try again.`,
+    API_KEY_REQUIRED: () => 'This Faleproxy server needs an API key. Enter yours to sign in.',
+    INVALID_API_KEY: () => 'That API key is not valid or has been revoked.',
+    QUOTA_EXCEEDED: details => `Your API key has used its quota of ${details.limit} requests per ${details.period}.`,
+    DOMAIN_NOT_ALLOWED: details => `Your API key may not fetch pages from ${details.hostname || 'that site'}.`,
+    POLICY_DENIED: details => `This Faleproxy server is not allowed to fetch pages from ${details.hostname || 'that site'}.`,
+    UPSTREAM_HTTP_ERROR: details => `The site responded with an error (HTTP ${details.status}${details.statusText ? ' ' + details.statusText : ''}).`
+};
+
+// How the result should be displayed, based on the upstream Content-Type
+function viewerKind(contentType) {
+    const type = String(contentType || 'text/html').split(';')[0].trim().toLowerCase();
+    if (type === 'image/svg+xml') {
+        return 'svg';
+    }
+    if (type === 'application/json' || type === 'text/json' || type.endsWith('+json')) {
+        return 'json';
+    }
+    if (type.endsWith('/xml') || (type.endsWith('+xml') && type !== 'application/xhtml+xml')) {
+        return 'xml';
+    }
+    if (type === 'text/plain') {
+        return 'text';
+    }
+    return 'html';
+}
+
+// Turn an error response from the server into a message for the user
+function describeError(data) {
+    const describe = data && ERROR_MESSAGES[data.code];
+    if (describe) {
+        return describe(data.details || {});
+    }
+    return (data && data.error) || 'Failed to fetch content';
+}
+
 document.addEventListener('DOMContentLoaded', () => {
     const urlForm = document.getElementById('url-form');
     const urlInput = document.getElementById('url-input');
@@ -16,6 +68,44 @@ document.addEventListener('DOMContentLoaded', () => {
     const contentDisplay = document.getElementById('content-display');
     const originalUrlElement = document.getElementById('original-url');
     const pageTitleElement = document.getElementById('page-title');
+    const upstreamStatusElement = document.getElementById('upstream-status');
+    const renderErrorPagesInput = document.getElementById('render-error-pages');
+    const navigableInput = document.getElementById('navigable');
+    const proxyAssetsInput = document.getElementById('proxy-assets');
+    const redirectInfoElement = document.getElementById('redirect-info');
+    const redirectChainElement = document.getElementById('redirect-chain');
+    const keyForm = document.getElementById('key-form');
+    const apiKeyInput = document.getElementById('api-key-input');
+    
+    // Sign this browser's session in with an API key, then retry the fetch
+    if (keyForm) {
+        keyForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            try {
+                const response = await fetch('/session/key', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ key: apiKeyInput.value.trim() })
+                });
+                const data = await response.json();
+                
+                if (!response.ok) {
+                    throw new Error(describeError(data));
+                }
+                
+                apiKeyInput.value = '';
+                keyForm.classList.add('hidden');
+                if (urlInput.value.trim()) {
+                    urlForm.dispatchEvent(new Event('submit'));
+                }
+            } catch (error) {
+                showError(error.message);
+            }
+        });
+    }
 
     urlForm.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -39,30 +129,69 @@ document.addEventListener('DOMContentLoaded', () => {
             urlInput.value = url; // Update the input field with the corrected URL
         }
         
+        // In navigable mode the iframe loads /proxy itself, so following
+        // links and the back button work as on the original site
+        if (navigableInput && navigableInput.checked) {
+            showProxiedPage(url);
+            return;
+        }
+        
         // Show loading indicator
         loadingElement.classList.remove('hidden');
         resultContainer.classList.add('hidden');
         errorMessage.classList.add('hidden');
         
+        const requestBody = { url };
+        if (renderErrorPagesInput && renderErrorPagesInput.checked) {
+            requestBody.renderErrorPages = true;
+        }
+        if (proxyAssetsInput && proxyAssetsInput.checked) {
+            requestBody.proxyAssets = true;
+        }
+        
         try {
             const response = await fetch('/fetch', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
-                body: JSON.stringify({ url })
+                body: JSON.stringify(requestBody)
             });
             
             const data = await response.json();
             
             if (!response.ok) {
-                throw new Error(data.error || 'Failed to fetch content');
+                if (keyForm && (data.code === 'API_KEY_REQUIRED' || data.code === 'INVALID_API_KEY')) {
+                    keyForm.classList.remove('hidden');
+                }
+                throw new Error(describeError(data));
             }
             
             // Update the info bar
             originalUrlElement.textContent = url;
             originalUrlElement.href = url;
             pageTitleElement.textContent = data.title || 'No title';
+            if (upstreamStatusElement) {
+                upstreamStatusElement.textContent = data.upstreamStatus || 'Unknown';
+                upstreamStatusElement.classList.toggle('status-error', data.upstreamStatus >= 400);
+            }
+            if (redirectInfoElement) {
+                const redirects = data.redirects || [];
+                redirectChainElement.textContent = redirects
+                    .map(hop => `${hop.url} (${hop.status})`)
+                    .concat(redirects.length ? [data.finalUrl] : [])
+                    .join(' → ');
+                redirectInfoElement.classList.toggle('hidden', redirects.length === 0);
+            }
+            
+            // JSON, XML, plain text and SVG are shown as they are rather
+            // than as a page
+            const kind = viewerKind(data.contentType);
+            if (kind !== 'html') {
+                showRawContent(data.content, kind);
+                resultContainer.classList.remove('hidden');
+                return;
+            }
             
             // Create a sandboxed iframe to display the content
             const iframe = document.createElement('iframe');
@@ -184,6 +313,58 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
     
+    function showProxiedPage(url) {
+        errorMessage.classList.add('hidden');
+        originalUrlElement.textContent = url;
+        originalUrlElement.href = url;
+        pageTitleElement.textContent = 'Browsing through Faleproxy';
+        if (upstreamStatusElement) {
+            upstreamStatusElement.textContent = '';
+            upstreamStatusElement.classList.remove('status-error');
+        }
+        if (redirectInfoElement) {
+            redirectInfoElement.classList.add('hidden');
+        }
+        
+        // /proxy pages are sandboxed by their own CSP header as well
+        const iframe = document.createElement('iframe');
+        iframe.setAttribute('sandbox', 'allow-forms allow-popups allow-popups-to-escape-sandbox');
+        iframe.setAttribute('referrerpolicy', 'no-referrer');
+        iframe.className = 'proxy-frame';
+        const assets = proxyAssetsInput && proxyAssetsInput.checked ? 'assets=1&' : '';
+        iframe.src = '/proxy?' + assets + 'url=' + encodeURIComponent(url);
+        contentDisplay.innerHTML = '';
+        contentDisplay.appendChild(iframe);
+        resultContainer.classList.remove('hidden');
+    }
+    
+    function showRawContent(content, kind) {
+        contentDisplay.innerHTML = '';
+        
+        if (kind === 'svg') {
+            // As an image, so scripts inside the SVG never run
+            const image = document.createElement('img');
+            image.className = 'svg-content';
+            image.alt = 'SVG image';
+            image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(content);
+            contentDisplay.appendChild(image);
+            return;
+        }
+        
+        let text = content;
+        if (kind === 'json') {
+            try {
+                text = JSON.stringify(JSON.parse(content), null, 2);
+            } catch (e) {
+                // Show it as it came
+            }
+        }
+        const pre = document.createElement('pre');
+        pre.className = 'raw-content';
+        pre.textContent = text;
+        contentDisplay.appendChild(pre);
+    }
+    
     function showError(message) {
         errorMessage.textContent = message;
         errorMessage.classList.remove('hidden');
@@ -1,60 +1,10 @@
 const request = require('supertest');
 const nock = require('nock');
-const express = require('express');
-const path = require('path');
 const { sampleHtmlWithYale } = require('./test-utils');
 
-// Import app but don't let it listen on a port (we'll use supertest for that)
-// Create a test app with the same route handlers
-const testApp = express();
-testApp.use(express.json());
-testApp.use(express.urlencoded({ extended: true }));
-
-// Mock the app's routes for testing
-testApp.post('/fetch', async (req, res) => {
-  try {
-    const { url } = req.body;
-    
-    if (!url) {
-      return res.status(400).json({ error: 'URL is required' });
-    }
-
-    // For test purposes, we're using the mocked response from nock
-    // The actual HTTP request is intercepted by nock
-    const response = await require('axios').get(url);
-    const html = response.data;
-    
-    // Use cheerio to parse HTML and selectively replace text content, not URLs
-    const $ = require('cheerio').load(html);
-    
-    // Process text nodes in the body
-    $('body *').contents().filter(function() {
-      return this.nodeType === 3; // Text nodes only
-    }).each(function() {
-      // Replace text content but not in URLs or attributes
-      const text = $(this).text();
-      const newText = text.replace(/Yale/g, 'Fale').replace(/yale/g, 'fale');
-      if (text !== newText) {
-        $(this).replaceWith(newText);
-      }
-    });
-    
-    // Process title separately
-    const title = $('title').text().replace(/Yale/g, 'Fale').replace(/yale/g, 'fale');
-    $('title').text(title);
-    
-    return res.json({ 
-      success: true, 
-      content: $.html(),
-      title: title,
-      originalUrl: url
-    });
-  } catch (error) {
-    return res.status(500).json({ 
-      error: `Failed to fetch content: ${error.message}` 
-    });
-  }
-});
+// Requiring app.js builds the real app without listening on a port
+const testApp = require('../app');
+const { createApp } = require('../app');
 
 describe('API Endpoints', () => {
   beforeAll(() => {
@@ -102,7 +52,75 @@ describe('API Endpoints', () => {
     expect(response.body.content).toContain('>About Fale<');  // Link text should be changed
   });
 
+  test('POST /transform should transform raw text/html', async () => {
+    const response = await request(testApp)
+      .post('/transform?baseUrl=https://www.yale.edu/about/')
+      .set('Content-Type', 'text/html')
+      .send('<html><head><title>Yale</title></head><body><a href="history">Yale history</a></body></html>');
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.title).toBe('Fale');
+    expect(response.body.content).toContain('<base href="https://www.yale.edu/about/">');
+    expect(response.body.content).toContain('<a href="https://www.yale.edu/about/history">Fale history</a>');
+  });
+
+  test('POST /transform should accept JSON with options', async () => {
+    const response = await request(testApp)
+      .post('/transform')
+      .send({
+        html: '<p class="quote">Yale</p><p>Harvard</p>',
+        rules: [{ find: 'Harvard', replace: 'Farvard' }]
+      });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.body.content).toContain('<p class="quote">Yale</p><p>Farvard</p>');
+    expect(response.body.content).not.toContain('<base');
+  });
+
+  test('POST /transform should validate its input', async () => {
+    const missing = await request(testApp).post('/transform').send({});
+    expect(missing.statusCode).toBe(400);
+    expect(missing.body.error).toBe('HTML is required');
+
+    const badBase = await request(testApp)
+      .post('/transform')
+      .send({ html: '<p>Yale</p>', baseUrl: 'javascript:alert(1)' });
+    expect(badBase.statusCode).toBe(400);
+
+    const badRules = await request(createApp({ allowRequestRegex: true }))
+      .post('/transform')
+      .send({ html: '<p>Yale</p>', rules: [{ find: '(', replace: 'x', regex: true }] });
+    expect(badRules.statusCode).toBe(400);
+    expect(badRules.body.error).toContain('invalid pattern');
+  });
+
+  test('regex rules should only be accepted from requests when allowRequestRegex is set', async () => {
+    const body = { html: '<p>aaaa!</p>', rules: [{ find: '(a+)+$', replace: 'x', regex: true }] };
+
+    const refused = await request(testApp).post('/transform').send(body);
+    expect(refused.statusCode).toBe(400);
+    expect(refused.body.error).toContain('Rule 0 is a regex rule');
+
+    const keyRules = await request(testApp)
+      .post('/fetch')
+      .send({ url: 'https://example.com/', keyRules: [{ find: 'id', replace: 'key', regex: true }] });
+    expect(keyRules.statusCode).toBe(400);
+    expect(keyRules.body.error).toContain('Key rule 0 is a regex rule');
+
+    const configured = createApp({ rules: [{ find: 'a+', replace: 'b', regex: true }] });
+    const allowed = await request(configured).post('/transform').send({ html: '<p>aaaa!</p>' });
+    expect(allowed.body.content).toContain('b!');
+
+    const optedIn = await request(createApp({ allowRequestRegex: true }))
+      .post('/transform')
+      .send({ html: '<p>aaaa!</p>', rules: [{ find: 'a+', replace: 'b', regex: true }] });
+    expect(optedIn.body.content).toContain('b!');
+  });
+
   test('POST /fetch should handle errors from external sites', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
     // Mock a failing URL
     nock('https://error-site.com')
       .get('/')
@@ -112,7 +130,9 @@ describe('API Endpoints', () => {
       .post('/fetch')
       .send({ url: 'https://error-site.com/' });
 
-    expect(response.statusCode).toBe(500);
+    expect(response.statusCode).toBe(502);
     expect(response.body.error).toContain('Failed to fetch content');
+    expect(response.body.code).toBe('UPSTREAM_ERROR');
+    expect(response.body.details.hostname).toBe('error-site.com');
   });
 });
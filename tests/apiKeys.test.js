@@ -0,0 +1,336 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const nock = require('nock');
+const { createApp } = require('../app');
+const { isAllowedDomain, createKeyStore } = require('../lib/apiKeys');
+
+describe('API keys', () => {
+  let directory;
+  let keysFile;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'faleproxy-keys-'));
+    keysFile = path.join(directory, 'keys.json');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('key store', () => {
+    test('isAllowedDomain should match exact names and wildcards', () => {
+      expect(isAllowedDomain('www.yale.edu', ['www.yale.edu'])).toBe(true);
+      expect(isAllowedDomain('News.Yale.edu.', ['*.yale.edu'])).toBe(true);
+      expect(isAllowedDomain('yale.edu', ['*.yale.edu'])).toBe(false);
+      expect(isAllowedDomain('evilyale.edu', ['*.yale.edu', 'yale.edu'])).toBe(false);
+      expect(isAllowedDomain('www.yale.edu', ['WWW.Yale.edu.'])).toBe(true);
+      expect(isAllowedDomain('www.yale.edu', ['*'])).toBe(true);
+    });
+
+    test('should create, persist and revoke keys, storing only hashes', async () => {
+      const store = createKeyStore({ file: keysFile, keys: [{ id: 'ci', key: 'config-secret' }] });
+      expect(store.authenticate('config-secret').id).toBe('ci');
+      expect(store.authenticate('wrong')).toBeNull();
+
+      const { key, record } = await store.create({ name: 'news team', allowedDomains: ['*.yale.edu'] });
+      expect(key).toMatch(/^fp_[\w-]{32}$/);
+      expect(store.authenticate(key)).toBe(record);
+      expect(fs.readFileSync(keysFile, 'utf8')).not.toContain(key);
+
+      const reloaded = createKeyStore({ file: keysFile });
+      expect(reloaded.authenticate(key).name).toBe('news team');
+
+      await store.revoke(record.id);
+      expect(store.authenticate(key)).toBeNull();
+      await expect(store.revoke('ci')).rejects.toMatchObject({ status: 409, code: 'KEY_IN_CONFIG' });
+      await expect(store.revoke('missing')).rejects.toMatchObject({ status: 404, code: 'KEY_NOT_FOUND' });
+    });
+
+    test('should keep saving after a failed write, without keeping unsaved keys', async () => {
+      // A file where the keys file's directory should be can't be written
+      const blocker = path.join(directory, 'blocked');
+      fs.writeFileSync(blocker, '');
+      const store = createKeyStore({ file: path.join(blocker, 'keys.json') });
+
+      await expect(store.create({ name: 'first' })).rejects.toThrow();
+      expect(store.list()).toEqual([]);
+
+      fs.rmSync(blocker);
+      const { key, record } = await store.create({ name: 'second' });
+      expect(store.authenticate(key)).toBe(record);
+      expect(store.list().map(entry => entry.name)).toEqual(['second']);
+    });
+
+    test('should validate key settings', async () => {
+      const store = createKeyStore({ file: keysFile, profiles: { news: {} } });
+
+      await expect(store.create({ quota: { requests: 0 } })).rejects.toMatchObject({ code: 'INVALID_KEY_SETTINGS' });
+      await expect(store.create({ quota: { requests: 5, period: 'week' } })).rejects.toThrow(/hour, day, month/);
+      await expect(store.create({ allowedDomains: 'yale.edu' })).rejects.toThrow(/allowedDomains/);
+      await expect(store.create({ profiles: ['sports'] })).rejects.toThrow(/profiles/);
+      expect((await store.create({ profiles: ['news'], quota: { requests: 5 } })).record.quota)
+        .toEqual({ requests: 5, period: 'day' });
+    });
+
+    test('should count usage against quotas per period and save it', async () => {
+      let now = Date.UTC(2026, 9, 19, 23, 59, 0);
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const store = createKeyStore({
+        file: keysFile,
+        keys: [{ id: 'ci', key: 'secret', quota: { requests: 2, period: 'day' } }]
+      });
+      const record = store.get('ci');
+
+      expect(store.consume(record)).toEqual({ allowed: true, remaining: 1, retryAfter: 0 });
+      expect(store.consume(record).allowed).toBe(true);
+      expect(store.consume(record)).toEqual({ allowed: false, remaining: 0, retryAfter: 60 });
+
+      now += 60 * 1000;
+      expect(store.consume(record).allowed).toBe(true);
+      expect(store.describe(record).usage).toMatchObject({
+        period: 'day',
+        periodStart: '2026-10-20T00:00:00.000Z',
+        count: 1,
+        total: 3
+      });
+
+      await store.flush();
+      const saved = JSON.parse(fs.readFileSync(keysFile, 'utf8'));
+      expect(saved.usage.ci).toMatchObject({ count: 1, total: 3 });
+      expect(saved.keys).toEqual([]);
+    });
+  });
+
+  describe('routes', () => {
+    beforeAll(() => {
+      nock.disableNetConnect();
+      nock.enableNetConnect('127.0.0.1');
+    });
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    afterAll(() => {
+      nock.enableNetConnect();
+    });
+
+    const secureApp = (auth = {}, extra = {}) => createApp({
+      adminToken: 'admin',
+      profiles: {
+        news: { rules: [{ find: 'Yale', replace: 'Gale' }] },
+        plain: { rules: [] }
+      },
+      auth: { required: true, keysFile, ...auth },
+      ...extra
+    });
+
+    test('should require a valid key when auth is required', async () => {
+      const app = secureApp({ keys: [{ id: 'ci', key: 'secret' }] });
+      nock('https://www.yale.edu').get('/').twice().reply(200, '<p>Yale</p>');
+
+      const anonymous = await request(app).post('/fetch').send({ url: 'https://www.yale.edu/' });
+      expect(anonymous.status).toBe(401);
+      expect(anonymous.body.code).toBe('API_KEY_REQUIRED');
+      expect(anonymous.headers['www-authenticate']).toBe('Bearer');
+
+      const header = await request(app).post('/fetch').set('X-API-Key', 'secret').send({ url: 'https://www.yale.edu/' });
+      expect(header.status).toBe(200);
+      const bearer = await request(app).post('/fetch').set('Authorization', 'Bearer secret').send({ url: 'https://www.yale.edu/' });
+      expect(bearer.status).toBe(200);
+
+      const proxy = await request(app).get('/proxy').query({ url: 'https://www.yale.edu/' });
+      expect(proxy.status).toBe(401);
+      expect(proxy.headers['content-type']).toMatch(/^text\/html/);
+    });
+
+    test('should refuse wrong keys even when auth is optional', async () => {
+      const app = secureApp({ required: false });
+      const response = await request(app).post('/transform').set('X-API-Key', 'nope').send({ html: '<p>Yale</p>' });
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('INVALID_API_KEY');
+
+      expect((await request(app).post('/transform').send({ html: '<p>Yale</p>' })).status).toBe(200);
+    });
+
+    test('should enforce quotas with Retry-After', async () => {
+      const app = secureApp({ keys: [{ id: 'ci', key: 'secret', quota: { requests: 1, period: 'hour' } }] });
+      const transform = () => request(app).post('/transform').set('X-API-Key', 'secret').send({ html: '<p>Yale</p>' });
+
+      const first = await transform();
+      expect(first.status).toBe(200);
+      expect(first.headers['x-quota-remaining']).toBe('0');
+
+      const second = await transform();
+      expect(second.status).toBe(429);
+      expect(second.body.code).toBe('QUOTA_EXCEEDED');
+      expect(Number(second.headers['retry-after'])).toBeGreaterThan(0);
+      expect(Number(second.headers['retry-after'])).toBeLessThanOrEqual(3600);
+    });
+
+    test('should only fetch from the allowed domains, redirects included', async () => {
+      const app = secureApp({ keys: [{ id: 'ci', key: 'secret', allowedDomains: ['*.yale.edu'] }] });
+      nock('https://www.yale.edu')
+        .get('/').reply(200, '<p>Yale</p>')
+        .get('/away').reply(302, '', { Location: 'https://example.com/' });
+
+      const fetchAs = url => request(app).post('/fetch').set('X-API-Key', 'secret').send({ url });
+      expect((await fetchAs('https://www.yale.edu/')).status).toBe(200);
+
+      const other = await fetchAs('https://example.com/');
+      expect(other.status).toBe(403);
+      expect(other.body).toMatchObject({ code: 'DOMAIN_NOT_ALLOWED', details: { hostname: 'example.com' } });
+
+      expect((await fetchAs('https://www.yale.edu/away')).body.code).toBe('DOMAIN_NOT_ALLOWED');
+
+      const asset = await request(app).get('/asset').set('X-API-Key', 'secret').query({ url: 'https://example.com/a.png' });
+      expect(asset.status).toBe(403);
+    });
+
+    test('should apply the key\'s rule profiles', async () => {
+      const app = secureApp({ keys: [{ id: 'ci', key: 'secret', profiles: ['news'] }] });
+      const transform = body => request(app).post('/transform').set('X-API-Key', 'secret').send({ html: '<p>Yale</p>', ...body });
+
+      expect((await transform()).body.content).toContain('Gale');
+      expect((await transform({ profile: 'plain' })).body.code).toBe('PROFILE_NOT_ALLOWED');
+      expect((await transform({ profile: 'missing' })).status).toBe(400);
+
+      const open = secureApp({ required: false });
+      const plain = await request(open).post('/transform').send({ html: '<p>Yale</p>', profile: 'plain' });
+      expect(plain.body.content).toContain('Yale');
+    });
+
+    test('the web UI should need a key, signed in once per session', async () => {
+      const app = secureApp({ keys: [{ id: 'ui', key: 'secret', quota: { requests: 2, period: 'day' } }] });
+      const agent = request.agent(app);
+      nock('https://www.yale.edu').get('/').twice().reply(200, '<p>Yale</p>');
+
+      // Loading the page or claiming to be same-origin proves nothing
+      const page = await agent.get('/');
+      expect(page.status).toBe(200);
+      expect(page.headers['set-cookie']).toBeUndefined();
+      const anonymous = await agent
+        .post('/fetch')
+        .set('Sec-Fetch-Site', 'same-origin')
+        .send({ url: 'https://www.yale.edu/' });
+      expect(anonymous.status).toBe(401);
+
+      const wrong = await agent.post('/session/key').send({ key: 'nope' });
+      expect(wrong.status).toBe(401);
+      expect(wrong.body.code).toBe('INVALID_API_KEY');
+      expect(wrong.headers['set-cookie']).toBeUndefined();
+      expect((await agent.post('/session/key').send({})).status).toBe(400);
+
+      const signedIn = await agent.post('/session/key').send({ key: 'secret' });
+      expect(signedIn.body).toEqual({ success: true, id: 'ui', name: '' });
+      expect(signedIn.headers['set-cookie'][0]).toMatch(/^faleproxy_session=/);
+
+      // The session counts against the key's quota like the key itself
+      const fetched = await agent
+        .post('/fetch')
+        .set('Sec-Fetch-Site', 'same-origin')
+        .send({ url: 'https://www.yale.edu/' });
+      expect(fetched.status).toBe(200);
+      expect(fetched.headers['x-quota-remaining']).toBe('1');
+      const proxied = await agent
+        .get('/proxy')
+        .set('Host', 'faleproxy.test')
+        .set('Sec-Fetch-Site', 'cross-site')
+        .set('Referer', 'http://faleproxy.test/proxy?url=https%3A%2F%2Fwww.yale.edu%2Fabout')
+        .query({ url: 'https://www.yale.edu/' });
+      expect(proxied.status).toBe(200);
+      const exhausted = await agent
+        .post('/transform')
+        .set('Sec-Fetch-Site', 'same-origin')
+        .send({ html: '<p>Yale</p>' });
+      expect(exhausted.body.code).toBe('QUOTA_EXCEEDED');
+
+      await agent.delete('/session/key');
+      const signedOut = await agent
+        .post('/transform')
+        .set('Sec-Fetch-Site', 'same-origin')
+        .send({ html: '<p>Yale</p>' });
+      expect(signedOut.status).toBe(401);
+    });
+
+    test('other sites should not be able to use a signed-in session', async () => {
+      const app = secureApp({ keys: [{ id: 'ui', key: 'secret' }] });
+      const agent = request.agent(app);
+
+      // A cross-site form can't sign the browser in with another key
+      const form = await agent.post('/session/key').type('form').send({ key: 'secret' });
+      expect(form.status).toBe(415);
+      expect(form.headers['set-cookie']).toBeUndefined();
+
+      await agent.post('/session/key').send({ key: 'secret' });
+      const transform = () => agent.post('/transform').send({ html: '<p>Yale</p>' });
+      expect((await transform().set('Sec-Fetch-Site', 'same-origin')).status).toBe(200);
+
+      const crossSite = await transform().set('Sec-Fetch-Site', 'cross-site').set('Referer', 'https://evil.example/');
+      expect(crossSite.status).toBe(401);
+      expect(crossSite.body.code).toBe('API_KEY_REQUIRED');
+      expect((await transform().set('Sec-Fetch-Site', 'same-site')).status).toBe(401);
+      expect((await transform()).status).toBe(401);
+      const proxied = await agent
+        .get('/proxy')
+        .set('Sec-Fetch-Site', 'cross-site')
+        .set('Accept', 'application/json')
+        .query({ url: 'https://www.yale.edu/' });
+      expect(proxied.status).toBe(401);
+
+      // The session stays signed in for the UI itself
+      expect((await transform().set('Sec-Fetch-Site', 'same-origin')).status).toBe(200);
+    });
+
+    test('revoking a key should sign its sessions out', async () => {
+      const app = secureApp();
+      const { key, id } = (await request(app)
+        .post('/admin/keys')
+        .set('Authorization', 'Bearer admin')
+        .send({ name: 'kiosk' })).body;
+      const agent = request.agent(app);
+
+      const transform = () => agent.post('/transform').set('Sec-Fetch-Site', 'same-origin').send({ html: '<p>Yale</p>' });
+      expect((await agent.post('/session/key').send({ key })).body.name).toBe('kiosk');
+      expect((await transform()).status).toBe(200);
+
+      await request(app).delete(`/admin/keys/${id}`).set('Authorization', 'Bearer admin');
+      const refused = await transform();
+      expect(refused.status).toBe(401);
+      expect(refused.body.code).toBe('API_KEY_REQUIRED');
+    });
+
+    test('admin routes should create, list and revoke keys', async () => {
+      const app = secureApp();
+      const admin = req => req.set('Authorization', 'Bearer admin');
+
+      const created = await admin(request(app).post('/admin/keys'))
+        .send({ name: 'news team', quota: { requests: 100, period: 'month' } });
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({ name: 'news team', source: 'file', revokedAt: null });
+      expect(created.body.keyHash).toBeUndefined();
+      const { key, id } = created.body;
+
+      await request(app).post('/transform').set('X-API-Key', key).send({ html: '<p>Yale</p>' });
+
+      const listed = await admin(request(app).get('/admin/keys'));
+      expect(listed.body.keys).toHaveLength(1);
+      expect(listed.body.keys[0].usage).toMatchObject({ period: 'month', count: 1, total: 1 });
+      expect((await admin(request(app).get(`/admin/keys/${id}`))).body.id).toBe(id);
+      expect((await admin(request(app).get('/admin/keys/missing'))).status).toBe(404);
+
+      const invalid = await admin(request(app).post('/admin/keys')).send({ quota: { requests: -1 } });
+      expect(invalid.status).toBe(400);
+
+      const revoked = await admin(request(app).delete(`/admin/keys/${id}`));
+      expect(revoked.body.revokedAt).not.toBeNull();
+      const refused = await request(app).post('/transform').set('X-API-Key', key).send({ html: '<p>Yale</p>' });
+      expect(refused.status).toBe(401);
+
+      expect((await request(app).get('/admin/keys').set('Authorization', `Bearer ${key}`)).status).toBe(401);
+    });
+  });
+});
@@ -1,142 +1,8 @@
 const request = require('supertest');
-const express = require('express');
-const path = require('path');
 const nock = require('nock');
 const cheerio = require('cheerio');
 const { sampleHtmlWithYale } = require('./test-utils');
-
-// Mock express app for isolated testing
-const createTestApp = () => {
-  // Import the relevant parts of app.js without starting the server
-  const app = express();
-  const axios = require('axios');
-  
-  // Middleware to parse request bodies
-  app.use(express.json());
-  app.use(express.urlencoded({ extended: true }));
-  app.use(express.static(path.join(__dirname, '../public')));
-  
-  // Set Content-Security-Policy and make sure it's properly set for tests
-  app.use((req, res, next) => {
-    const cspValue = "default-src 'self'; script-src 'self' https://cdnjs.cloudflare.com 'unsafe-inline'; style-src 'self' 'unsafe-inline'; frame-src 'self'; img-src * data:;";
-    
-    // Some test environments require lowercase header names
-    res.set('content-security-policy', cspValue);
-    next();
-  });
-  
-  // Main route
-  app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, '../public', 'index.html'));
-  });
-  
-  // API endpoint to fetch and modify content
-  app.post('/fetch', async (req, res) => {
-    try {
-      let { url } = req.body;
-      
-      if (!url) {
-        return res.status(400).json({ error: 'URL is required' });
-      }
-      
-      // Automatically add https:// if protocol is missing
-      if (!url.match(/^https?:\/\//i)) {
-        url = 'https://' + url;
-      }
-  
-      // Fetch the content from the provided URL
-      const response = await axios.get(url);
-      const html = response.data;
-  
-      // Use cheerio to parse HTML and selectively replace text content
-      const $ = cheerio.load(html, {
-        decodeEntities: false,
-        xmlMode: false,
-        normalizeWhitespace: false
-      });
-      
-      // Fix base URL for resources
-      let baseUrl = url;
-      const baseTag = $('base');
-      if (baseTag.length && baseTag.attr('href')) {
-        baseUrl = baseTag.attr('href');
-      } else {
-        $('head').prepend(`<base href="${url}">`); 
-      }
-      
-      // Fix relative URLs in various attributes
-      const urlAttributes = ['src', 'href', 'action', 'data-src'];
-      urlAttributes.forEach(attr => {
-        $(`[${attr}]`).each(function() {
-          const attrValue = $(this).attr(attr);
-          if (attrValue && !attrValue.startsWith('http') && !attrValue.startsWith('//') && 
-              !attrValue.startsWith('#') && !attrValue.startsWith('javascript:') && 
-              !attrValue.startsWith('data:')) {
-            $(this).attr(attr, new URL(attrValue, url).href);
-          }
-        });
-      });
-      
-      // Process text nodes in the body to replace Yale with Fale
-      function processNode(index, element) {
-        // Skip script and style tags
-        if (element.name === 'script' || element.name === 'style') {
-          return;
-        }
-        
-        // Process text nodes
-        $(element).contents().each(function() {
-          if (this.type === 'text') {
-            const text = $(this).text();
-            const newText = text
-              .replace(/Yale/g, 'Fale')
-              .replace(/YALE/g, 'FALE')
-              .replace(/yale/g, 'fale');
-            if (text !== newText) {
-              $(this).replaceWith(newText);
-            }
-          } else if (this.type === 'tag') {
-            // Recursively process child elements
-            processNode(0, this);
-          }
-        });
-      }
-      
-      // Process all elements
-      $('*').each(processNode);
-      
-      // Process title separately
-      const title = $('title').text()
-        .replace(/Yale/g, 'Fale')
-        .replace(/YALE/g, 'FALE')
-        .replace(/yale/g, 'fale');
-      $('title').text(title);
-      
-      // Add CSS to fix iframe rendering issues
-      $('head').append(`
-        <style>
-          img, video, iframe { max-width: 100%; height: auto; }
-          body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
-        </style>
-      `);
-      
-      return res.json({ 
-        success: true, 
-        content: $.html(),
-        title: title,
-        originalUrl: url
-      });
-    } catch (error) {
-      // Avoid console.error in tests to keep output clean
-    // console.error('Error fetching URL:', error.message);
-      return res.status(500).json({ 
-        error: `Failed to fetch content: ${error.message}` 
-      });
-    }
-  });
-
-  return app;
-};
+const { createApp } = require('../app');
 
 describe('Server Application Tests', () => {
   let app;
@@ -146,8 +12,8 @@ describe('Server Application Tests', () => {
     nock.disableNetConnect();
     nock.enableNetConnect(/(localhost|127\.0\.0\.1)/);
     
-    // Create test app
-    app = createTestApp();
+    // Create the real app; requiring app.js does not start a server
+    app = createApp();
   });
   
   afterAll(() => {
@@ -371,6 +237,9 @@ describe('Server Application Tests', () => {
   });
   
   test('POST /fetch should handle fetch errors gracefully', async () => {
+    // Avoid console.error in tests to keep output clean
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
     // Mock a fetch error
     nock('https://error-site.com')
       .get('/')
@@ -380,7 +249,7 @@ describe('Server Application Tests', () => {
       .post('/fetch')
       .send({ url: 'https://error-site.com' });
       
-    expect(response.status).toBe(500);
+    expect(response.status).toBe(502);
     expect(response.body.error).toContain('Failed to fetch content');
   });
 });
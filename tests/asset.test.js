@@ -0,0 +1,181 @@
+const http = require('http');
+const request = require('supertest');
+const nock = require('nock');
+const cheerio = require('cheerio');
+const { createApp } = require('../app');
+
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+describe('GET /asset', () => {
+  let app;
+
+  beforeAll(() => {
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    console.error.mockRestore();
+  });
+
+  afterAll(() => {
+    nock.enableNetConnect();
+  });
+
+  // supertest buffers binary bodies into response.body
+  const binary = req => req.buffer(true).parse((res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  });
+
+  test('should stream assets with their content type and no cookies', async () => {
+    nock('https://www.yale.edu')
+      .get('/logo.png')
+      .reply(200, png, {
+        'Content-Type': 'image/png',
+        'Cache-Control': 'max-age=3600',
+        'Set-Cookie': 'tracking=1'
+      });
+
+    const response = await binary(request(app).get('/asset').query({ url: 'https://www.yale.edu/logo.png' }));
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/png');
+    expect(response.headers['cache-control']).toBe('max-age=3600');
+    expect(response.headers['set-cookie']).toBeUndefined();
+    expect(response.headers['content-security-policy']).toMatch(/^sandbox;/);
+    expect(response.headers['access-control-allow-origin']).toBe('*');
+    expect(response.body.equals(png)).toBe(true);
+  });
+
+  test('should rewrite stylesheet URLs to go through /asset', async () => {
+    nock('https://www.yale.edu')
+      .get('/css/site.css')
+      .reply(200, '@import "print.css";\nbody { background: url(../img/bg.png); }', { 'Content-Type': 'text/css' });
+
+    const response = await request(app).get('/asset').query({ url: 'https://www.yale.edu/css/site.css' });
+    const asset = `http://${response.request.host}/asset?url=`;
+
+    expect(response.headers['content-type']).toBe('text/css; charset=utf-8');
+    expect(response.text).toBe(
+      `@import "${asset}${encodeURIComponent('https://www.yale.edu/css/print.css')}";\n` +
+      `body { background: url(${asset}${encodeURIComponent('https://www.yale.edu/img/bg.png')}); }`
+    );
+  });
+
+  test('should apply the SSRF guard and size limits', async () => {
+    const blocked = await request(app).get('/asset').query({ url: 'http://169.254.169.254/latest/meta-data/' });
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.code).toBe('BLOCKED_DESTINATION');
+
+    nock('https://www.yale.edu')
+      .get('/huge.png')
+      .reply(200, png, { 'Content-Type': 'image/png', 'Content-Length': '100000000' });
+    const huge = await request(app).get('/asset').query({ url: 'https://www.yale.edu/huge.png' });
+    expect(huge.status).toBe(502);
+    expect(huge.body.code).toBe('BODY_TOO_LARGE');
+
+    const invalid = await request(app).get('/asset').query({ url: 'file:///etc/passwd' });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('should close the upstream and free its slot when the browser goes away', async () => {
+    // A real origin that sends one chunk of a video and then stalls
+    let upstreamClosed;
+    const closed = new Promise(resolve => {
+      upstreamClosed = resolve;
+    });
+    const origin = http.createServer((req, res) => {
+      if (req.url === '/logo.png') {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end(png);
+      }
+      res.writeHead(200, { 'Content-Type': 'video/mp4' });
+      res.write(Buffer.alloc(1024));
+      return res.on('close', upstreamClosed);
+    });
+    const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const close = server => new Promise(resolve => server.close(resolve));
+    await listen(origin);
+    const originUrl = `http://127.0.0.1:${origin.address().port}`;
+    const proxy = createApp({
+      ssrf: { allowHosts: ['127.0.0.1'] },
+      concurrency: { maxPerHost: 1 },
+      limits: { timeout: 10000 }
+    }).listen(0, '127.0.0.1');
+
+    try {
+      await new Promise(resolve => proxy.once('listening', resolve));
+      const assetUrl = url => `http://127.0.0.1:${proxy.address().port}/asset?url=${encodeURIComponent(url)}`;
+      await new Promise((resolve, reject) => {
+        const client = http.get(assetUrl(`${originUrl}/movie.mp4`), res => res.once('data', () => {
+          client.destroy();
+          resolve();
+        }));
+        client.on('error', reject);
+      });
+      await closed;
+
+      // With maxPerHost 1 this would wait for the first fetch's deadline
+      const started = Date.now();
+      const next = await binary(request(proxy).get('/asset').query({ url: `${originUrl}/logo.png` }));
+      expect(next.status).toBe(200);
+      expect(next.body).toEqual(png);
+      expect(Date.now() - started).toBeLessThan(1000);
+    } finally {
+      await close(proxy);
+      await close(origin);
+    }
+  });
+
+  test('POST /fetch should point resources at /asset when proxyAssets is set', async () => {
+    nock('https://www.yale.edu')
+      .get('/')
+      .reply(200, `<html><head><link rel="stylesheet" href="/site.css"><link rel="canonical" href="/"></head>
+        <body style="background: url(bg.png)"><img src="logo.png" srcset="logo@2x.png 2x">
+        <a href="/about">About</a><img src="data:image/png;base64,AAAA"></body></html>`);
+
+    const response = await request(app)
+      .post('/fetch')
+      .send({ url: 'https://www.yale.edu/', proxyAssets: true });
+    const $ = cheerio.load(response.body.content);
+    const asset = url => `http://${response.request.host}/asset?url=${encodeURIComponent(url)}`;
+
+    expect($('link[rel=stylesheet]').attr('href')).toBe(asset('https://www.yale.edu/site.css'));
+    expect($('link[rel=canonical]').attr('href')).toBe('https://www.yale.edu/');
+    expect($('img').first().attr('src')).toBe(asset('https://www.yale.edu/logo.png'));
+    expect($('img').first().attr('srcset')).toBe(`${asset('https://www.yale.edu/logo@2x.png')} 2x`);
+    expect($('body').attr('style')).toBe(`background: url(${asset('https://www.yale.edu/bg.png')})`);
+    expect($('a').attr('href')).toBe('https://www.yale.edu/about');
+    expect($('img').last().attr('src')).toBe('data:image/png;base64,AAAA');
+  });
+
+  test('should drop integrity and crossorigin from resources sent through /asset', async () => {
+    nock('https://www.yale.edu')
+      .get('/')
+      .reply(200, `<html><head>
+        <link rel="stylesheet" href="https://cdn.yale.edu/site.css" integrity="sha384-abc" crossorigin="anonymous">
+        <link rel="canonical" href="/" crossorigin="anonymous"></head>
+        <body><script src="data:text/javascript,0" integrity="sha384-def"></script></body></html>`);
+
+    const response = await request(app)
+      .post('/fetch')
+      .send({ url: 'https://www.yale.edu/', proxyAssets: true });
+    const $ = cheerio.load(response.body.content);
+
+    const stylesheet = $('link[rel=stylesheet]');
+    expect(stylesheet.attr('href')).toMatch(/\/asset\?url=/);
+    expect(stylesheet.attr('integrity')).toBeUndefined();
+    expect(stylesheet.attr('crossorigin')).toBeUndefined();
+    // Left alone where the URL isn't rewritten
+    expect($('link[rel=canonical]').attr('crossorigin')).toBe('anonymous');
+    expect($('script').attr('integrity')).toBe('sha384-def');
+  });
+});
@@ -0,0 +1,276 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const nock = require('nock');
+const { createApp } = require('../app');
+const {
+  cacheKey, parseCacheControl, freshnessLifetime, createMemoryStore, createDiskStore
+} = require('../lib/cache');
+
+describe('Page cache', () => {
+  describe('HTTP caching rules', () => {
+    test('parseCacheControl should read directives and values', () => {
+      expect(parseCacheControl('public, Max-Age=60, s-maxage="120", no-cache'))
+        .toEqual({ public: '', 'max-age': '60', 's-maxage': '120', 'no-cache': '' });
+    });
+
+    test('freshnessLifetime should prefer s-maxage, then max-age, then Expires', () => {
+      const date = 'Mon, 19 Oct 2026 10:00:00 GMT';
+      expect(freshnessLifetime({ 'cache-control': 'max-age=60, s-maxage=120' })).toBe(120000);
+      expect(freshnessLifetime({ 'cache-control': 'max-age=60', expires: 'Mon, 19 Oct 2026 11:00:00 GMT', date }))
+        .toBe(60000);
+      expect(freshnessLifetime({ expires: 'Mon, 19 Oct 2026 11:00:00 GMT', date })).toBe(3600000);
+      expect(freshnessLifetime({ expires: '0', date })).toBe(0);
+      expect(freshnessLifetime({ 'cache-control': 'no-cache, max-age=60' })).toBe(0);
+      expect(freshnessLifetime({})).toBe(0);
+    });
+
+    test('cacheKey should separate rule sets', () => {
+      const url = 'https://www.yale.edu/';
+      expect(cacheKey(url, { rules: [] })).toMatch(/^https:\/\/www\.yale\.edu\/ [0-9a-f]{16}$/);
+      expect(cacheKey(url, { rules: [] })).toBe(cacheKey(url, { rules: [] }));
+      expect(cacheKey(url, { rules: [] })).not.toBe(cacheKey(url, { rules: [{ find: 'a', replace: 'b' }] }));
+    });
+  });
+
+  describe('stores', () => {
+    test('the memory store should drop the least recently used entries', () => {
+      const store = createMemoryStore({ maxEntries: 2 });
+      store.set('a', 1);
+      store.set('b', 2);
+      store.get('a');
+      store.set('c', 3);
+
+      expect(store.keys()).toEqual(['a', 'c']);
+      store.clear();
+      expect(store.keys()).toEqual([]);
+    });
+
+    test('the memory store should stay under maxBytes', () => {
+      const store = createMemoryStore({ maxBytes: 100 });
+      store.set('a', { size: 40 });
+      store.set('b', { size: 40 });
+      store.set('a', { size: 50 });
+      expect(store.keys()).toEqual(['b', 'a']);
+
+      store.set('c', { size: 30 });
+      expect(store.keys()).toEqual(['a', 'c']);
+      store.delete('a');
+      store.set('d', { size: 70 });
+      expect(store.keys()).toEqual(['c', 'd']);
+    });
+
+    test('the disk store should keep entries in files', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'faleproxy-cache-'));
+      try {
+        const store = createDiskStore({ directory, maxEntries: 2 });
+        await store.set('a', { content: 'Fale' });
+        expect(await store.get('a')).toEqual({ content: 'Fale' });
+        expect(await createDiskStore({ directory }).get('a')).toEqual({ content: 'Fale' });
+
+        await store.set('b', 2);
+        await store.set('c', 3);
+        expect((await store.keys()).sort()).toHaveLength(2);
+        expect(fs.readdirSync(directory).filter(name => name.endsWith('.tmp'))).toEqual([]);
+
+        await store.delete('c');
+        expect(await store.get('c')).toBeUndefined();
+        await store.clear();
+        expect(await store.keys()).toEqual([]);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    test('the disk store should stay under maxBytes', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'faleproxy-cache-'));
+      try {
+        const store = createDiskStore({ directory, maxBytes: 1500 });
+        await store.set('a', { content: 'a'.repeat(600) });
+        await store.set('b', { content: 'b'.repeat(600) });
+        // Make a the least recently used without relying on timing
+        const past = new Date(Date.now() - 60000);
+        fs.readdirSync(directory).forEach(name => {
+          const file = path.join(directory, name);
+          if (fs.readFileSync(file, 'utf8').includes('"key":"a"')) {
+            fs.utimesSync(file, past, past);
+          }
+        });
+        await store.set('c', { content: 'c'.repeat(600) });
+
+        expect((await store.keys()).sort()).toEqual(['b', 'c']);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeAll(() => {
+      nock.disableNetConnect();
+      nock.enableNetConnect('127.0.0.1');
+    });
+
+    beforeEach(() => {
+      app = createApp({ adminToken: 'secret', sessions: { enabled: false } });
+    });
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    afterAll(() => {
+      nock.enableNetConnect();
+    });
+
+    const fetchPage = (body = {}) => request(app).post('/fetch').send({ url: 'https://www.yale.edu/', ...body });
+
+    test('should serve fresh pages from the cache', async () => {
+      nock('https://www.yale.edu')
+        .get('/')
+        .once()
+        .reply(200, '<p>Yale</p>', { 'Cache-Control': 'public, max-age=300' });
+
+      const first = await fetchPage();
+      expect(first.headers['x-cache']).toBe('MISS');
+      expect(first.body.cacheStatus).toBe('MISS');
+
+      const second = await fetchPage();
+      expect(second.headers['x-cache']).toBe('HIT');
+      expect(second.body.content).toBe(first.body.content);
+      expect(second.body.upstreamStatus).toBe(200);
+    });
+
+    test('should cache each rule set separately', async () => {
+      nock('https://www.yale.edu')
+        .get('/')
+        .twice()
+        .reply(200, '<p>Yale</p>', { 'Cache-Control': 'max-age=300' });
+
+      await fetchPage();
+      const custom = await fetchPage({ rules: [{ find: 'Yale', replace: 'Gale' }] });
+
+      expect(custom.headers['x-cache']).toBe('MISS');
+      expect(custom.body.content).toContain('Gale');
+    });
+
+    test('should revalidate stale pages with conditional requests', async () => {
+      nock('https://www.yale.edu')
+        .get('/')
+        .reply(200, '<p>Yale</p>', { 'Cache-Control': 'no-cache', ETag: '"v1"', 'Last-Modified': 'Mon, 19 Oct 2026 10:00:00 GMT' })
+        .get('/')
+        .matchHeader('if-none-match', '"v1"')
+        .matchHeader('if-modified-since', 'Mon, 19 Oct 2026 10:00:00 GMT')
+        .reply(304, '', { ETag: '"v1"' })
+        .get('/')
+        .matchHeader('if-none-match', '"v1"')
+        .reply(200, '<p>Yale changed</p>', { ETag: '"v2"' });
+
+      expect((await fetchPage()).headers['x-cache']).toBe('MISS');
+
+      const revalidated = await fetchPage();
+      expect(revalidated.headers['x-cache']).toBe('REVALIDATED');
+      expect(revalidated.body.content).toContain('Fale');
+
+      const changed = await fetchPage();
+      expect(changed.headers['x-cache']).toBe('MISS');
+      expect(changed.body.content).toContain('Fale changed');
+      expect(nock.isDone()).toBe(true);
+    });
+
+    test('should not store private, uncacheable or cookie-setting responses', async () => {
+      nock('https://www.yale.edu')
+        .get('/').reply(200, 'a', { 'Cache-Control': 'private, max-age=300' })
+        .get('/').reply(200, 'b', { 'Cache-Control': 'no-store' })
+        .get('/').reply(200, 'c', { 'Cache-Control': 'max-age=300', 'Set-Cookie': 'id=1' })
+        .get('/').reply(200, 'd')
+        .get('/').reply(200, 'e');
+
+      const statuses = [];
+      for (let i = 0; i < 5; i++) {
+        statuses.push((await fetchPage()).headers['x-cache']);
+      }
+      expect(statuses).toEqual(['MISS', 'MISS', 'MISS', 'MISS', 'MISS']);
+    });
+
+    test('should not store pages over maxEntryBytes', async () => {
+      app = createApp({ sessions: { enabled: false }, cache: { maxEntryBytes: 1000 } });
+      nock('https://www.yale.edu')
+        .get('/').twice().reply(200, `<p>${'Yale '.repeat(300)}</p>`, { 'Cache-Control': 'max-age=300' })
+        .get('/small').reply(200, '<p>Yale</p>', { 'Cache-Control': 'max-age=300' });
+
+      expect((await fetchPage()).headers['x-cache']).toBe('MISS');
+      expect((await fetchPage()).headers['x-cache']).toBe('MISS');
+      expect((await fetchPage({ url: 'https://www.yale.edu/small' })).headers['x-cache']).toBe('MISS');
+      expect((await fetchPage({ url: 'https://www.yale.edu/small' })).headers['x-cache']).toBe('HIT');
+    });
+
+    test('GET /proxy should use the cache too', async () => {
+      nock('https://www.yale.edu')
+        .get('/')
+        .once()
+        .reply(200, '<p>Yale</p>', { 'Cache-Control': 'max-age=300' });
+
+      // Links point back at the Host the page was requested through, which
+      // is part of the cache key
+      const proxy = () => request(app).get('/proxy').set('Host', 'faleproxy.test').query({ url: 'https://www.yale.edu/' });
+      expect((await proxy()).headers['x-cache']).toBe('MISS');
+      expect((await proxy()).headers['x-cache']).toBe('HIT');
+    });
+
+    test('DELETE /admin/cache should purge entries with the admin token', async () => {
+      nock('https://www.yale.edu')
+        .get('/')
+        .twice()
+        .reply(200, '<p>Yale</p>', { 'Cache-Control': 'max-age=300' });
+
+      await fetchPage();
+
+      const anonymous = await request(app).delete('/admin/cache');
+      expect(anonymous.status).toBe(401);
+      expect(anonymous.headers['www-authenticate']).toBe('Bearer');
+      const wrong = await request(app).delete('/admin/cache').set('Authorization', 'Bearer wrong');
+      expect(wrong.status).toBe(401);
+
+      const other = await request(app)
+        .delete('/admin/cache')
+        .query({ url: 'https://news.yale.edu/' })
+        .set('Authorization', 'Bearer secret');
+      expect(other.body).toEqual({ success: true, purged: 0 });
+
+      const purged = await request(app)
+        .delete('/admin/cache')
+        .query({ url: 'www.yale.edu' })
+        .set('Authorization', 'Bearer secret');
+      expect(purged.body).toEqual({ success: true, purged: 1 });
+      expect((await fetchPage()).headers['x-cache']).toBe('MISS');
+
+      const all = await request(app).delete('/admin/cache').set('Authorization', 'Bearer secret');
+      expect(all.body).toEqual({ success: true, purged: 1 });
+    });
+
+    test('DELETE /admin/cache should report a store that fails as a 500', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      // A file where the cache directory should be can't be listed
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'faleproxy-cache-'));
+      const file = path.join(directory, 'cache');
+      fs.writeFileSync(file, '');
+      app = createApp({ adminToken: 'secret', cache: { store: 'disk', directory: file } });
+
+      const response = await request(app).delete('/admin/cache').set('Authorization', 'Bearer secret');
+      expect(response.status).toBe(500);
+      expect(response.body.code).toBe('INTERNAL_ERROR');
+      expect(response.body.error).toMatch(/^Failed to purge the page cache: ENOTDIR/);
+      console.error.mockRestore();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('admin routes should be disabled without an admin token', async () => {
+      const response = await request(createApp()).delete('/admin/cache').set('Authorization', 'Bearer ');
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const request = require('supertest');
+const nock = require('nock');
+const { detectCharset, decodeBody } = require('../lib/charset');
+const { createApp } = require('../app');
+
+describe('Charset detection', () => {
+  const latin1 = Buffer.from('<p>Universit\xe9 Yale</p>', 'latin1');
+
+  test('should read the charset from the Content-Type header', () => {
+    expect(detectCharset(latin1, 'text/html; charset=ISO-8859-1')).toBe('windows-1252');
+    expect(detectCharset(latin1, 'text/html; charset="Shift_JIS"')).toBe('shift_jis');
+  });
+
+  test('should prefer a byte order mark over the header', () => {
+    const utf8 = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('<p>Yale</p>')]);
+
+    expect(detectCharset(utf8, 'text/html; charset=windows-1252')).toBe('utf-8');
+    expect(decodeBody(utf8, 'utf-8')).toBe('<p>Yale</p>');
+  });
+
+  test('should fall back to <meta> and XML declarations', () => {
+    expect(detectCharset(Buffer.from('<html><head><meta charset="gbk">'), 'text/html')).toBe('gbk');
+    expect(detectCharset(Buffer.from(
+      '<meta http-equiv="Content-Type" content="text/html; charset=euc-kr">'
+    ))).toBe('euc-kr');
+    expect(detectCharset(Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><rss/>'))).toBe('windows-1252');
+  });
+
+  test('should default to UTF-8 for unknown or missing charsets', () => {
+    expect(detectCharset(Buffer.from('<p>Yale</p>'))).toBe('utf-8');
+    expect(detectCharset(latin1, 'text/html; charset=no-such-charset')).toBe('utf-8');
+    expect(detectCharset(Buffer.from('<meta charset="utf-16">'))).toBe('utf-8');
+  });
+});
+
+// Just enough of Windows-1252 for the tests: Latin-1 plus a few punctuation marks
+const WINDOWS_1252 = { '–': 0x96, '“': 0x93, '”': 0x94 };
+const toWindows1252 = text => Buffer.from(Array.from(text, char => WINDOWS_1252[char] || char.charCodeAt(0)));
+
+describe('POST /fetch with non-UTF-8 pages', () => {
+  let app;
+
+  beforeAll(() => {
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = createApp();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  afterAll(() => {
+    nock.enableNetConnect();
+  });
+
+  test('should transcode Windows-1252 pages and rewrite the meta charset', async () => {
+    const html = '<html><head><meta charset="windows-1252"><title>Yale – Caf\xe9</title></head>' +
+      '<body><p>“Yale”</p></body></html>';
+    nock('https://www.yale.edu')
+      .get('/')
+      .reply(200, toWindows1252(html), { 'Content-Type': 'text/html' });
+
+    const response = await request(app)
+      .post('/fetch')
+      .send({ url: 'https://www.yale.edu/' });
+
+    expect(response.body.title).toBe('Fale – Caf\xe9');
+    expect(response.body.content).toContain('<p>“Fale”</p>');
+    expect(response.body.content).toContain('<meta charset="utf-8">');
+  });
+
+  test('should transcode Shift_JIS pages named in the header', async () => {
+    // "イェール Yale" in Shift_JIS
+    const body = Buffer.concat([
+      Buffer.from('<html><head><meta http-equiv="Content-Type" content="text/html; charset=Shift_JIS"></head><body><p>'),
+      Buffer.from([0x83, 0x43, 0x83, 0x46, 0x81, 0x5b, 0x83, 0x8b]),
+      Buffer.from(' Yale</p></body></html>')
+    ]);
+    nock('https://www.yale.jp')
+      .get('/')
+      .reply(200, body, { 'Content-Type': 'text/html; charset=Shift_JIS' });
+
+    const response = await request(app)
+      .post('/fetch')
+      .send({ url: 'https://www.yale.jp/' });
+
+    expect(response.body.content).toContain('<p>イェール Fale</p>');
+    expect(response.body.content).toContain('content="text/html; charset=utf-8"');
+  });
+});
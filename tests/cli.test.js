@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const nock = require('nock');
+const { run } = require('../lib/cli');
+const { sampleHtmlWithYale } = require('./test-utils');
+
+// Run the CLI with in-memory streams and collect what it writes
+async function runCli(args, input = '') {
+  const stdin = new PassThrough();
+  const stdout = new PassThrough();
+  const stderr = new PassThrough();
+  let out = '';
+  let err = '';
+  stdout.on('data', chunk => { out += chunk; });
+  stderr.on('data', chunk => { err += chunk; });
+  stdin.end(input);
+
+  const code = await run(args, { stdin, stdout, stderr });
+  return { code, stdout: out, stderr: err };
+}
+
+describe('Command-line interface', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'faleproxy-cli-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    nock.cleanAll();
+  });
+
+  afterAll(() => {
+    nock.enableNetConnect();
+  });
+
+  test('should transform stdin to stdout', async () => {
+    const result = await runCli([], '<p>Yale <b>YALE</b></p>');
+
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('<p>Fale <b>FALE</b></p>');
+  });
+
+  test('should transform a file into an output file', async () => {
+    const input = path.join(dir, 'page.html');
+    const output = path.join(dir, 'out', 'page.html');
+    fs.writeFileSync(input, sampleHtmlWithYale);
+
+    const result = await runCli([input, '-o', output, '--base-url', 'https://www.yale.edu/']);
+
+    expect(result.code).toBe(0);
+    const content = fs.readFileSync(output, 'utf8');
+    expect(content).toContain('Welcome to Fale University');
+    expect(content).toContain('<base href="https://www.yale.edu/">');
+  });
+
+  test('should use rules from a config file', async () => {
+    const config = path.join(dir, 'rules.json');
+    fs.writeFileSync(config, JSON.stringify({ rules: [{ find: 'Harvard', replace: 'Farvard' }] }));
+
+    const result = await runCli(['--config', config], '<p>Harvard and Yale</p>');
+
+    expect(result.stdout).toContain('<p>Farvard and Yale</p>');
+  });
+
+  test('should fetch and transform a URL', async () => {
+    nock.disableNetConnect();
+    nock('https://example.com')
+      .get('/')
+      .reply(200, sampleHtmlWithYale);
+
+    const result = await runCli(['https://example.com/']);
+
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('Welcome to Fale University');
+  });
+
+  test('should process a directory of HTML files recursively', async () => {
+    const input = path.join(dir, 'site');
+    const output = path.join(dir, 'public');
+    fs.mkdirSync(path.join(input, 'about'), { recursive: true });
+    fs.writeFileSync(path.join(input, 'index.html'), '<p>Yale</p><img src="logo.png">');
+    fs.writeFileSync(path.join(input, 'about', 'history.htm'), '<p>yale</p>');
+    fs.writeFileSync(path.join(input, 'notes.txt'), 'Yale');
+
+    const result = await runCli([input, '-o', output, '-b', 'https://www.yale.edu/']);
+
+    expect(result.code).toBe(0);
+    expect(result.stderr).toContain('Transformed 2 files');
+    expect(fs.readFileSync(path.join(output, 'index.html'), 'utf8')).toContain('<p>Fale</p>');
+    expect(fs.readFileSync(path.join(output, 'index.html'), 'utf8')).toContain('src="https://www.yale.edu/logo.png"');
+    expect(fs.readFileSync(path.join(output, 'about', 'history.htm'), 'utf8')).toContain('<p>fale</p>');
+    expect(fs.existsSync(path.join(output, 'notes.txt'))).toBe(false);
+  });
+
+  test('should not transform an output directory inside the input again', async () => {
+    const output = path.join(dir, 'out');
+    fs.writeFileSync(path.join(dir, 'a.html'), '<p>Yale</p>');
+
+    expect((await runCli([dir, '-o', output])).code).toBe(0);
+    const again = await runCli([dir, '-o', output]);
+
+    expect(again.stderr).toContain('Transformed 1 file into');
+    expect(fs.readFileSync(path.join(output, 'a.html'), 'utf8')).toContain('<p>Fale</p>');
+    expect(fs.existsSync(path.join(output, 'out'))).toBe(false);
+  });
+
+  test('should require --output for directory input', async () => {
+    const result = await runCli([dir]);
+
+    expect(result.code).toBe(2);
+    expect(result.stderr).toContain('--output is required');
+  });
+
+  test('should report usage errors and missing files', async () => {
+    expect((await runCli(['--bogus'])).code).toBe(2);
+    expect((await runCli(['--help'])).stdout).toContain('Usage: faleproxy');
+
+    const missing = await runCli([path.join(dir, 'missing.html')]);
+    expect(missing.code).toBe(1);
+    expect(missing.stderr).toContain('faleproxy: ENOENT');
+  });
+});
@@ -0,0 +1,48 @@
+const cheerio = require('cheerio');
+const { compileRules, DEFAULT_RULES } = require('../lib/rules');
+const { rewriteCssUrls, replaceCssContent } = require('../lib/css');
+const { transformHtml } = require('../lib');
+
+const base = 'https://www.yale.edu/css/';
+const rules = compileRules(DEFAULT_RULES);
+
+describe('CSS rewriting', () => {
+  test('rewriteCssUrls should resolve url() references in every quoting style', () => {
+    const css = `body { background: url(bg.png) }
+      @font-face { src: url("../fonts/a.woff2") format("woff2"), url( 'b.woff' ); }
+      .logo { background-image: url(https://cdn.example.com/logo.svg), url(data:image/png;base64,AAA=); }`;
+
+    const result = rewriteCssUrls(css, base);
+
+    expect(result).toContain('url(https://www.yale.edu/css/bg.png)');
+    expect(result).toContain('url("https://www.yale.edu/fonts/a.woff2")');
+    expect(result).toContain("url('https://www.yale.edu/css/b.woff')");
+    expect(result).toContain('url(https://cdn.example.com/logo.svg)');
+    expect(result).toContain('url(data:image/png;base64,AAA=)');
+  });
+
+  test('rewriteCssUrls should resolve @import rules', () => {
+    expect(rewriteCssUrls('@import "print.css" print;\n@import url(/theme.css);', base))
+      .toBe('@import "https://www.yale.edu/css/print.css" print;\n@import url(https://www.yale.edu/theme.css);');
+  });
+
+  test('replaceCssContent should only touch content strings', () => {
+    const css = '.yale::before { content: "Yale " attr(title) \'Yale\'; font-family: "Yale Sans"; align-content: center; }';
+
+    expect(replaceCssContent(css, rules))
+      .toBe('.yale::before { content: "Fale " attr(title) \'Fale\'; font-family: "Yale Sans"; align-content: center; }');
+  });
+
+  test('transformHtml should rewrite style blocks and style attributes', () => {
+    const html = `<html><head><style>.hero { background: url(img/hero.jpg); } a::after { content: "Yale"; }</style></head>
+      <body><div style="background-image: url('img/tile.png')">Yale</div></body></html>`;
+
+    const plain = cheerio.load(transformHtml(html, { baseUrl: base }).content);
+    expect(plain('style').html()).toContain('url(https://www.yale.edu/css/img/hero.jpg)');
+    expect(plain('style').html()).toContain('content: "Yale"');
+    expect(plain('div').attr('style')).toBe("background-image: url('https://www.yale.edu/css/img/tile.png')");
+
+    const withContent = cheerio.load(transformHtml(html, { baseUrl: base, replaceCssContent: true }).content);
+    expect(withContent('style').html()).toContain('content: "Fale"');
+  });
+});
@@ -0,0 +1,153 @@
+const request = require('supertest');
+const nock = require('nock');
+const { ProxyError, classifyUpstreamError } = require('../lib/errors');
+const { createApp } = require('../app');
+
+const networkError = code => Object.assign(new Error(`${code} error`), { code });
+
+describe('Upstream error classification', () => {
+  test.each([
+    ['ENOTFOUND', 502, 'DNS_FAILURE'],
+    ['EAI_AGAIN', 502, 'DNS_FAILURE'],
+    ['ECONNREFUSED', 502, 'CONNECTION_REFUSED'],
+    ['ECONNRESET', 502, 'CONNECTION_RESET'],
+    ['EHOSTUNREACH', 502, 'HOST_UNREACHABLE'],
+    ['ETIMEDOUT', 504, 'UPSTREAM_TIMEOUT'],
+    ['CERT_HAS_EXPIRED', 502, 'TLS_ERROR'],
+    ['DEPTH_ZERO_SELF_SIGNED_CERT', 502, 'TLS_ERROR'],
+    ['ERR_TLS_CERT_ALTNAME_INVALID', 502, 'TLS_ERROR'],
+    ['ERR_INVALID_URL', 422, 'INVALID_URL'],
+    ['SOMETHING_ELSE', 502, 'UPSTREAM_ERROR']
+  ])('%s maps to %i %s', (code, status, errorCode) => {
+    const error = classifyUpstreamError(networkError(code), 'https://www.yale.edu/');
+
+    expect(error).toBeInstanceOf(ProxyError);
+    expect(error.status).toBe(status);
+    expect(error.code).toBe(errorCode);
+    expect(error.message).toContain('Failed to fetch content');
+  });
+
+  test('should report the hostname in the details', () => {
+    const error = classifyUpstreamError(networkError('ENOTFOUND'), 'https://no-such-host.example/page');
+
+    expect(error.details).toEqual({ hostname: 'no-such-host.example', reason: 'ENOTFOUND' });
+  });
+
+  test('should report the upstream status for HTTP errors', () => {
+    const httpError = Object.assign(new Error('Request failed'), {
+      response: { status: 503, statusText: 'Service Unavailable' }
+    });
+    const error = classifyUpstreamError(httpError, 'https://www.yale.edu/');
+
+    expect(error.status).toBe(502);
+    expect(error.code).toBe('UPSTREAM_HTTP_ERROR');
+    expect(error.details).toEqual({
+      status: 503,
+      statusText: 'Service Unavailable',
+      url: 'https://www.yale.edu/'
+    });
+  });
+
+  test('should pass ProxyErrors through', () => {
+    const original = new ProxyError('Blocked', { status: 403, code: 'BLOCKED_DESTINATION' });
+
+    expect(classifyUpstreamError(original, 'http://127.0.0.1/')).toBe(original);
+  });
+});
+
+describe('POST /fetch error responses', () => {
+  let app;
+
+  beforeAll(() => {
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    console.error.mockRestore();
+  });
+
+  afterAll(() => {
+    nock.enableNetConnect();
+  });
+
+  test('should return 502 with the upstream status for upstream 404s', async () => {
+    nock('https://www.yale.edu')
+      .get('/missing')
+      .reply(404, 'Not here');
+
+    const response = await request(app)
+      .post('/fetch')
+      .send({ url: 'https://www.yale.edu/missing' });
+
+    expect(response.status).toBe(502);
+    expect(response.body.code).toBe('UPSTREAM_HTTP_ERROR');
+    expect(response.body.details.status).toBe(404);
+  });
+
+  test('should render HTML error pages when renderErrorPages is set', async () => {
+    nock('https://www.yale.edu')
+      .get('/missing')
+      .reply(404, '<html><head><title>Yale: Page Not Found</title></head><body>Yale</body></html>', {
+        'Content-Type': 'text/html; charset=UTF-8',
+        'Server': 'nginx',
+        'X-Internal': 'secret'
+      });
+
+    const response = await request(app)
+      .post('/fetch')
+      .send({ url: 'https://www.yale.edu/missing', renderErrorPages: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.title).toBe('Fale: Page Not Found');
+    expect(response.body.upstreamStatus).toBe(404);
+    expect(response.body.finalUrl).toBe('https://www.yale.edu/missing');
+    expect(response.body.upstreamHeaders).toEqual({
+      'content-type': 'text/html; charset=UTF-8',
+      'server': 'nginx'
+    });
+  });
+
+  test('should still fail for non-HTML error bodies with renderErrorPages', async () => {
+    nock('https://www.yale.edu')
+      .get('/api')
+      .reply(500, { message: 'boom' });
+
+    const response = await request(app)
+      .post('/fetch')
+      .send({ url: 'https://www.yale.edu/api', renderErrorPages: true });
+
+    expect(response.status).toBe(502);
+    expect(response.body.code).toBe('UPSTREAM_HTTP_ERROR');
+    expect(response.body.details.status).toBe(500);
+  });
+
+  test('should return 502 DNS_FAILURE for unknown hosts', async () => {
+    nock('https://no-such-host.example')
+      .get('/')
+      .replyWithError({ code: 'ENOTFOUND', message: 'getaddrinfo ENOTFOUND no-such-host.example' });
+
+    const response = await request(app)
+      .post('/fetch')
+      .send({ url: 'no-such-host.example' });
+
+    expect(response.status).toBe(502);
+    expect(response.body.code).toBe('DNS_FAILURE');
+    expect(response.body.details.hostname).toBe('no-such-host.example');
+  });
+
+  test('should return 422 INVALID_URL for malformed URLs', async () => {
+    const response = await request(app)
+      .post('/fetch')
+      .send({ url: 'https://exa mple.com' });
+
+    expect(response.status).toBe(422);
+    expect(response.body.code).toBe('INVALID_URL');
+  });
+});
@@ -0,0 +1,144 @@
+const request = require('supertest');
+const nock = require('nock');
+const cheerio = require('cheerio');
+const { createApp } = require('../app');
+const { proxyForms } = require('../lib/urls');
+
+describe('Form passthrough', () => {
+  let app;
+
+  beforeAll(() => {
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    console.error.mockRestore();
+  });
+
+  afterAll(() => {
+    nock.enableNetConnect();
+  });
+
+  test('proxyForms should point GET and POST forms at the form proxy', () => {
+    const $ = cheerio.load(`<form action="/search"><input name="q"></form>
+      <form method="post" enctype="multipart/form-data">
+        <button formaction="/upload">Upload</button>
+        <button formaction="javascript:void(0)">Nothing</button>
+      </form>
+      <form method="dialog"></form>`);
+
+    proxyForms($, 'http://proxy.test/form', 'https://www.yale.edu/apply');
+
+    const [search, upload, dialog] = $('form').toArray().map(form => $(form));
+    expect(search.attr('action')).toBe('http://proxy.test/form');
+    expect(search.find('input[type=hidden]').attr('name')).toBe('faleproxy_url');
+    expect(search.find('input[type=hidden]').val()).toBe('https://www.yale.edu/search');
+    expect(upload.attr('action')).toBe(`http://proxy.test/form?faleproxy_url=${encodeURIComponent('https://www.yale.edu/apply')}`);
+    expect(upload.attr('enctype')).toBe('multipart/form-data');
+    expect(upload.find('button').first().attr('formaction'))
+      .toBe(`http://proxy.test/form?faleproxy_url=${encodeURIComponent('https://www.yale.edu/upload')}`);
+    expect(upload.find('button').last().attr('formaction')).toBe('javascript:void(0)');
+    expect(dialog.attr('action')).toBeUndefined();
+  });
+
+  test('GET /form should forward the fields as the target query string', async () => {
+    nock('https://www.yale.edu')
+      .get('/search')
+      .query({ q: 'Yale news', page: '2' })
+      .reply(200, '<html><body><h1>Yale results</h1><form action="/search"></form></body></html>');
+
+    const response = await request(app)
+      .get('/form')
+      .query({ faleproxy_url: 'https://www.yale.edu/search?old=1', q: 'Yale news', page: '2' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-security-policy']).toMatch(/^sandbox /);
+    const $ = cheerio.load(response.text);
+    expect($('h1').text()).toBe('Fale results');
+    expect($('form').attr('action')).toBe(`http://${response.request.host}/form`);
+  });
+
+  test('POST /form should forward urlencoded bodies and follow the redirect with GET', async () => {
+    nock('https://www.yale.edu')
+      .post('/login', 'user=yale&password=a%26b')
+      .matchHeader('content-type', 'application/x-www-form-urlencoded')
+      .reply(303, '', { Location: '/welcome' })
+      .get('/welcome')
+      .reply(200, '<p>Welcome to Yale</p>');
+
+    const response = await request(app)
+      .post('/form')
+      .query({ faleproxy_url: 'https://www.yale.edu/login' })
+      .type('form')
+      .send('user=yale&password=a%26b');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('Welcome to Fale');
+  });
+
+  test('POST /form should forward multipart uploads unchanged', async () => {
+    let received;
+    nock('https://www.yale.edu')
+      .post('/upload', body => {
+        received = body;
+        return true;
+      })
+      .matchHeader('content-type', /^multipart\/form-data; boundary=/)
+      .reply(200, '<p>Uploaded to Yale</p>');
+
+    const response = await request(app)
+      .post('/form')
+      .query({ faleproxy_url: 'https://www.yale.edu/upload' })
+      .field('title', 'Yale')
+      .attach('file', Buffer.from('hello'), 'hello.txt');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('Uploaded to Fale');
+    expect(received).toContain('name="file"; filename="hello.txt"');
+    expect(received).toContain('hello');
+  });
+
+  test('should reject missing targets and blocked destinations', async () => {
+    const missing = await request(app).get('/form').query({ q: 'Yale' });
+    expect(missing.status).toBe(400);
+    expect(missing.text).toContain('faleproxy_url');
+
+    const blocked = await request(app)
+      .post('/form')
+      .query({ faleproxy_url: 'http://169.254.169.254/' })
+      .set('Accept', 'application/json')
+      .type('form')
+      .send('a=1');
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.code).toBe('BLOCKED_DESTINATION');
+  });
+
+  test('POST /fetch should point forms at /form only when navigable is set', async () => {
+    const page = '<form action="/search"><input name="q"></form><form method="post" action="/login"></form>';
+    nock('https://www.yale.edu')
+      .get('/')
+      .twice()
+      .reply(200, page);
+
+    const plain = cheerio.load((await request(app).post('/fetch').send({ url: 'https://www.yale.edu/' })).body.content);
+    expect(plain('form').first().attr('action')).toBe('https://www.yale.edu/search');
+
+    const response = await request(app)
+      .post('/fetch')
+      .send({ url: 'https://www.yale.edu/', navigable: true, proxyAssets: true });
+    const $ = cheerio.load(response.body.content);
+    const origin = `http://${response.request.host}`;
+    expect($('form').first().attr('action')).toBe(`${origin}/form`);
+    expect($('form').first().find('input[type=hidden]').map((i, el) => $(el).attr('name')).get())
+      .toEqual(['faleproxy_assets', 'faleproxy_url']);
+    expect($('form').last().attr('action'))
+      .toBe(`${origin}/form?faleproxy_assets=1&faleproxy_url=${encodeURIComponent('https://www.yale.edu/login')}`);
+  });
+});
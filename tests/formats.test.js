@@ -0,0 +1,173 @@
+const request = require('supertest');
+const nock = require('nock');
+const { compileRules, DEFAULT_RULES } = require('../lib/rules');
+const { ProxyError } = require('../lib/errors');
+const { contentKind, transformJson, transformXml, transformText } = require('../lib/formats');
+const { createApp } = require('../app');
+
+const rules = compileRules(DEFAULT_RULES);
+
+describe('Content formats', () => {
+  test('contentKind should branch on the Content-Type', () => {
+    expect(contentKind('text/html; charset=utf-8')).toBe('html');
+    expect(contentKind(undefined)).toBe('html');
+    expect(contentKind('application/xhtml+xml')).toBe('html');
+    expect(contentKind('application/json')).toBe('json');
+    expect(contentKind('application/ld+json; charset=utf-8')).toBe('json');
+    expect(contentKind('application/rss+xml')).toBe('xml');
+    expect(contentKind('application/atom+xml')).toBe('xml');
+    expect(contentKind('text/xml')).toBe('xml');
+    expect(contentKind('image/svg+xml')).toBe('svg');
+    expect(contentKind('text/plain')).toBe('text');
+    expect(contentKind('image/png')).toBeNull();
+  });
+
+  test('transformJson should rewrite string values but not keys', () => {
+    const json = JSON.stringify({ Yale: 'Yale University', tags: ['Yale', 1, true, null], nested: { name: 'Yale' } });
+
+    const { content } = transformJson(json, rules);
+
+    expect(JSON.parse(content)).toEqual({
+      Yale: 'Fale University',
+      tags: ['Fale', 1, true, null],
+      nested: { name: 'Fale' }
+    });
+  });
+
+  test('transformJson should apply key rules to keys only', () => {
+    const keyRules = compileRules([{ find: 'yale', replace: 'fale' }]);
+
+    const { content } = transformJson('{"yaleId": "yale-1"}', [], keyRules);
+
+    expect(JSON.parse(content)).toEqual({ faleId: 'yale-1' });
+  });
+
+  test('transformJson should keep numbers, layout, escapes and unusual keys as sent', () => {
+    const json = '{\n  "id": 12345678901234567890,\n  "price": 1.10,\n  "__proto__": { "name": "Yale" },\n' +
+      '  "city": "New Haven \\u00e9",\n  "school" : "Yale \\"College\\""\n}';
+
+    const { content } = transformJson(json, rules);
+
+    expect(content).toBe('{\n  "id": 12345678901234567890,\n  "price": 1.10,\n  "__proto__": { "name": "Fale" },\n' +
+      '  "city": "New Haven \\u00e9",\n  "school" : "Fale \\"College\\""\n}');
+  });
+
+  test('transformJson should tell keys from values', () => {
+    const keyRules = compileRules([{ find: 'Yale', replace: 'Fale' }]);
+
+    const { content } = transformJson('{"Yale":"Yale","list":["Yale:", {"Yale" :"x"}],"a\\"Yale":1}', [], keyRules);
+
+    expect(content).toBe('{"Fale":"Yale","list":["Yale:", {"Fale" :"x"}],"a\\"Fale":1}');
+  });
+
+  test('transformJson should reject invalid JSON', () => {
+    expect(() => transformJson('{nope', rules)).toThrow(ProxyError);
+  });
+
+  test('transformXml should rewrite text and CDATA but not markup', () => {
+    const rss = `<?xml version="1.0"?>
+<rss version="2.0"><channel>
+  <title>Yale News</title>
+  <link>https://news.yale.edu/</link>
+  <item>
+    <guid><![CDATA[https://news.yale.edu/Yale-1]]></guid>
+    <title><![CDATA[Yale & friends]]></title>
+    <description><![CDATA[<p>About <a href="https://www.yale.edu/Yale">Yale</a></p>]]></description>
+  </item>
+</channel></rss>`;
+
+    const { content, title } = transformXml(rss, rules);
+
+    expect(title).toBe('Fale News');
+    expect(content).toContain('<?xml version="1.0"?>');
+    expect(content).toContain('<link>https://news.yale.edu/</link>');
+    expect(content).toContain('<guid><![CDATA[https://news.yale.edu/Yale-1]]></guid>');
+    expect(content).toContain('<title><![CDATA[Fale & friends]]></title>');
+    expect(content).toContain('<![CDATA[<p>About <a href="https://www.yale.edu/Yale">Fale</a></p>]]>');
+  });
+
+  test('transformXml should treat escaped HTML like HTML in CDATA', () => {
+    const rss = `<rss version="2.0"><channel><item>
+    <title>Yale &amp; friends</title>
+    <description>&lt;p&gt;About &lt;a href="https://www.yale.edu/yale-news"&gt;Yale&lt;/a&gt; &amp;amp; more&lt;/p&gt;</description>
+  </item></channel></rss>`;
+
+    const { content } = transformXml(rss, rules);
+
+    expect(content).toContain('<title>Fale &amp; friends</title>');
+    expect(content).toContain(
+      '<description>&lt;p&gt;About &lt;a href="https://www.yale.edu/yale-news"&gt;Fale&lt;/a&gt; &amp;amp; more&lt;/p&gt;</description>'
+    );
+  });
+
+  test('transformXml should handle SVG text', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg"><title>Yale logo</title><text x="0" y="10">Yale</text></svg>';
+
+    const { content } = transformXml(svg, rules);
+
+    expect(content).toBe('<svg xmlns="http://www.w3.org/2000/svg"><title>Fale logo</title><text x="0" y="10">Fale</text></svg>');
+  });
+
+  test('transformText should replace directly', () => {
+    expect(transformText('Yale <b>Yale</b>', rules).content).toBe('Fale <b>Fale</b>');
+  });
+});
+
+describe('POST /fetch with non-HTML content', () => {
+  let app;
+
+  beforeAll(() => {
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = createApp();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  afterAll(() => {
+    nock.enableNetConnect();
+  });
+
+  test('should transform JSON and return its content type', async () => {
+    nock('https://api.yale.edu')
+      .get('/info')
+      .reply(200, { Yale: 'Yale' }, { 'Content-Type': 'application/json; charset=utf-8' });
+
+    const response = await request(app)
+      .post('/fetch')
+      .send({ url: 'https://api.yale.edu/info', keyRules: [{ find: 'Yale', replace: 'School' }] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.contentType).toBe('application/json; charset=utf-8');
+    expect(JSON.parse(response.body.content)).toEqual({ School: 'Fale' });
+  });
+
+  test('should transform plain text without adding HTML', async () => {
+    nock('https://www.yale.edu')
+      .get('/robots.txt')
+      .reply(200, 'Yale robots', { 'Content-Type': 'text/plain' });
+
+    const response = await request(app)
+      .post('/fetch')
+      .send({ url: 'https://www.yale.edu/robots.txt' });
+
+    expect(response.body.content).toBe('Fale robots');
+    expect(response.body.contentType).toBe('text/plain');
+  });
+
+  test('should refuse content it cannot transform', async () => {
+    nock('https://www.yale.edu')
+      .get('/logo.png')
+      .reply(200, Buffer.from([0x89, 0x50, 0x4e, 0x47]), { 'Content-Type': 'image/png' });
+
+    const response = await request(app)
+      .post('/fetch')
+      .send({ url: 'https://www.yale.edu/logo.png' });
+
+    expect(response.status).toBe(422);
+    expect(response.body.code).toBe('UNSUPPORTED_CONTENT_TYPE');
+    expect(response.body.details.contentType).toBe('image/png');
+  });
+});
@@ -1,8 +1,5 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
 const { sampleHtmlWithYale } = require('./test-utils');
 const nock = require('nock');
 
@@ -17,85 +14,8 @@ describe('Integration Tests', () => {
     nock.disableNetConnect();
     nock.enableNetConnect(/(localhost|127\.0\.0\.1)/);
     
-    // Mock the app directly instead of spawning a server process
-    // This avoids the circular JSON structure serialization issues
-    const express = require('express');
-    const app = express();
-    const path = require('path');
-    
-    // Middleware to parse request bodies
-    app.use(express.json());
-    app.use(express.urlencoded({ extended: true }));
-    app.use(express.static(path.join(__dirname, '../public')));
-    
-    // Add Content Security Policy middleware
-    app.use((req, res, next) => {
-      res.setHeader(
-        'Content-Security-Policy',
-        "default-src 'self'; script-src 'self' https://cdnjs.cloudflare.com 'unsafe-inline'; style-src 'self' 'unsafe-inline'; frame-src 'self'; img-src * data:;"
-      );
-      next();
-    });
-    
-    // Mock the fetch endpoint to avoid actual HTTP requests
-    app.post('/fetch', async (req, res) => {
-      try {
-        let { url } = req.body;
-        
-        if (!url) {
-          return res.status(400).json({ error: 'URL is required' });
-        }
-        
-        // For testing, treat all URLs as if they return the test sample
-        if (url === 'not-a-valid-url') {
-          throw new Error('Invalid URL');
-        }
-        
-        // Use cheerio to parse HTML and replace text
-        const $ = cheerio.load(sampleHtmlWithYale);
-        
-        // Process text nodes to replace Yale with Fale
-        function processNode(index, element) {
-          if (element.name === 'script' || element.name === 'style') return;
-          
-          $(element).contents().each(function() {
-            if (this.type === 'text') {
-              const text = $(this).text();
-              const newText = text
-                .replace(/Yale/g, 'Fale')
-                .replace(/YALE/g, 'FALE')
-                .replace(/yale/g, 'fale');
-              if (text !== newText) {
-                $(this).replaceWith(newText);
-              }
-            } else if (this.type === 'tag') {
-              processNode(0, this);
-            }
-          });
-        }
-        
-        // Process all elements
-        $('*').each(processNode);
-        
-        // Process title separately
-        const title = $('title').text()
-          .replace(/Yale/g, 'Fale')
-          .replace(/YALE/g, 'FALE')
-          .replace(/yale/g, 'fale');
-        $('title').text(title);
-        
-        return res.json({ 
-          success: true, 
-          content: $.html(),
-          title: title,
-          originalUrl: url
-        });
-      } catch (error) {
-        return res.status(500).json({ 
-          error: `Failed to fetch content: ${error.message}` 
-        });
-      }
-    });
+    // Run the real app on the test port; requiring app.js does not start it
+    const app = require('../app');
     
     // Start the test server
     server = app.listen(TEST_PORT);
@@ -149,6 +69,8 @@ describe('Integration Tests', () => {
   }, 10000); // Increase timeout for this test
 
   test('Should handle invalid URLs', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
     try {
       await axios.post(`http://localhost:${TEST_PORT}/fetch`, {
         url: 'not-a-valid-url'
@@ -158,7 +80,7 @@ describe('Integration Tests', () => {
     } catch (error) {
       // Ensure error is properly handled whether it's an axios error or another type
       if (error.response) {
-        expect(error.response.status).toBe(500);
+        expect(error.response.status).toBe(502);
       } else {
         // This could happen during testing if the mock server isn't handling requests properly
         expect(error.message).toContain('Error'); // Generic error check
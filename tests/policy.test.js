@@ -0,0 +1,188 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const nock = require('nock');
+const { createApp } = require('../app');
+const { parsePattern, compilePolicy, createPolicy } = require('../lib/policy');
+
+describe('Site policy', () => {
+  describe('patterns', () => {
+    test('parsePattern should split scheme, host and path prefix', () => {
+      expect(parsePattern('*.Yale.edu')).toEqual({ pattern: '*.Yale.edu', scheme: null, host: '*.yale.edu', path: null });
+      expect(parsePattern('https://example.com/private/')).toMatchObject({
+        scheme: 'https',
+        host: 'example.com',
+        path: '/private'
+      });
+      expect(parsePattern('*')).toMatchObject({ host: '*', path: null });
+      ['', 'exa*mple.com', 'https://', '*.', 'example.com:8080'].forEach(pattern => {
+        expect(() => parsePattern(pattern)).toThrow(/Invalid policy pattern/);
+      });
+    });
+
+    test('an allow list should admit only matching sites', () => {
+      const check = compilePolicy({ allow: ['*.yale.edu', 'yale.edu'] });
+      expect(() => check('https://www.yale.edu/')).not.toThrow();
+      expect(() => check('http://YALE.edu./about')).not.toThrow();
+      expect(() => check('https://notyale.edu/')).toThrow(expect.objectContaining({
+        status: 403,
+        code: 'POLICY_DENIED',
+        details: { url: 'https://notyale.edu/', hostname: 'notyale.edu', reason: 'not-allowed' }
+      }));
+    });
+
+    test('deny patterns should win and match path prefixes by segment', () => {
+      const check = compilePolicy({ allow: ['*.yale.edu'], deny: ['news.yale.edu/archive', 'http://*'] });
+      expect(() => check('https://news.yale.edu/today')).not.toThrow();
+      expect(() => check('https://news.yale.edu/archives')).not.toThrow();
+      ['https://news.yale.edu/archive', 'https://news.yale.edu/archive/2020', 'https://news.yale.edu/%61rchive/']
+        .forEach(url => {
+          expect(() => check(url)).toThrow(expect.objectContaining({
+            details: expect.objectContaining({ reason: 'denied', rule: 'news.yale.edu/archive' })
+          }));
+        });
+      expect(() => check('http://www.yale.edu/')).toThrow(expect.objectContaining({
+        details: expect.objectContaining({ rule: 'http://*' })
+      }));
+    });
+
+    test('path prefixes should ignore repeated slashes', () => {
+      const check = compilePolicy({ deny: ['example.com//private'] });
+      ['https://example.com/private', 'https://example.com//private/x', 'https://example.com/%2F/private/x']
+        .forEach(url => {
+          expect(() => check(url)).toThrow(expect.objectContaining({
+            details: expect.objectContaining({ reason: 'denied' })
+          }));
+        });
+      expect(() => check('https://example.com/public//private')).not.toThrow();
+    });
+
+    test('schemes should restrict the schemes fetched', () => {
+      const check = compilePolicy({ schemes: ['https'] });
+      expect(() => check('https://example.com/')).not.toThrow();
+      expect(() => check('http://example.com/')).toThrow(expect.objectContaining({
+        details: expect.objectContaining({ reason: 'scheme' })
+      }));
+      expect(() => compilePolicy({ deny: 'example.com' })).toThrow(/must be arrays/);
+    });
+  });
+
+  describe('policy file', () => {
+    let directory;
+    let file;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'faleproxy-policy-'));
+      file = path.join(directory, 'policy.json');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should reload the file when it changes and keep the policy on errors', () => {
+      fs.writeFileSync(file, JSON.stringify({ deny: ['example.com'] }));
+      const policy = createPolicy({ file, reloadInterval: 0, deny: ['ignored.example'] });
+      expect(() => policy.checkUrl('https://example.com/')).toThrow(/policy/);
+      expect(() => policy.checkUrl('https://ignored.example/')).not.toThrow();
+
+      fs.writeFileSync(file, JSON.stringify({ deny: ['other.example'] }));
+      expect(() => policy.checkUrl('https://example.com/')).not.toThrow();
+      expect(() => policy.checkUrl('https://other.example/')).toThrow(/policy/);
+
+      fs.writeFileSync(file, '{ "deny": [');
+      expect(() => policy.checkUrl('https://other.example/')).toThrow(/policy/);
+      expect(() => policy.checkUrl('https://other.example/')).toThrow(/policy/);
+      expect(console.error).toHaveBeenCalledTimes(1);
+      expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/keeping the previous/), expect.any(String));
+    });
+
+    test('should only look for changes every reloadInterval ms', () => {
+      fs.writeFileSync(file, JSON.stringify({ deny: ['example.com'] }));
+      const policy = createPolicy({ file, reloadInterval: 60000 });
+
+      fs.writeFileSync(file, JSON.stringify({ deny: [] }));
+      expect(() => policy.checkUrl('https://example.com/')).toThrow(/policy/);
+      policy.reload();
+      expect(() => policy.checkUrl('https://example.com/')).not.toThrow();
+    });
+
+    test('should refuse to start with a missing or invalid file', () => {
+      expect(() => createPolicy({ file })).toThrow(/Could not read policy file|ENOENT/);
+      fs.writeFileSync(file, JSON.stringify({ allow: ['*.'] }));
+      expect(() => createPolicy({ file })).toThrow(/Invalid policy pattern/);
+      expect(() => createApp({ policy: { file } })).toThrow(/Invalid policy pattern/);
+    });
+  });
+
+  describe('routes', () => {
+    beforeAll(() => {
+      nock.disableNetConnect();
+      nock.enableNetConnect('127.0.0.1');
+    });
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    afterAll(() => {
+      nock.enableNetConnect();
+    });
+
+    const policyApp = policy => createApp({ policy });
+
+    test('/fetch should refuse denied sites and redirects to them', async () => {
+      const app = policyApp({ allow: ['*.yale.edu'] });
+      const scope = nock('https://www.yale.edu')
+        .get('/away').reply(302, '', { Location: 'https://example.com/' });
+
+      const denied = await request(app).post('/fetch').send({ url: 'https://example.com/' });
+      expect(denied.status).toBe(403);
+      expect(denied.body).toMatchObject({
+        code: 'POLICY_DENIED',
+        details: { hostname: 'example.com', reason: 'not-allowed' }
+      });
+
+      const redirected = await request(app).post('/fetch').send({ url: 'https://www.yale.edu/away' });
+      expect(redirected.status).toBe(403);
+      expect(redirected.body.details.url).toBe('https://example.com/');
+      expect(scope.isDone()).toBe(true);
+    });
+
+    test('/proxy and /asset should apply the policy too', async () => {
+      const app = policyApp({ deny: ['example.com/private'] });
+
+      const page = await request(app).get('/proxy').query({ url: 'https://example.com/private/page' });
+      expect(page.status).toBe(403);
+      expect(page.headers['content-type']).toMatch(/^text\/html/);
+
+      const asset = await request(app).get('/asset').query({ url: 'https://example.com/private/logo.png' });
+      expect(asset.status).toBe(403);
+      expect(asset.body.code).toBe('POLICY_DENIED');
+    });
+
+    test('cached pages should be refused once the policy file denies them', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'faleproxy-policy-'));
+      const file = path.join(directory, 'policy.json');
+      try {
+        fs.writeFileSync(file, JSON.stringify({ deny: [] }));
+        const app = policyApp({ file, reloadInterval: 0 });
+        nock('https://example.com')
+          .get('/').reply(200, '<p>Yale</p>', { 'Content-Type': 'text/html', 'Cache-Control': 'max-age=600' });
+
+        const first = await request(app).post('/fetch').send({ url: 'https://example.com/' });
+        expect(first.body.cacheStatus).toBe('MISS');
+
+        fs.writeFileSync(file, JSON.stringify({ deny: ['example.com'] }));
+        const second = await request(app).post('/fetch').send({ url: 'https://example.com/' });
+        expect(second.status).toBe(403);
+        expect(second.body.code).toBe('POLICY_DENIED');
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const nock = require('nock');
+const cheerio = require('cheerio');
+const { createApp } = require('../app');
+
+describe('GET /proxy', () => {
+  let app;
+
+  beforeAll(() => {
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+    app = createApp();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+    console.error.mockRestore();
+  });
+
+  afterAll(() => {
+    nock.enableNetConnect();
+  });
+
+  const page = `<html><head><title>Yale</title></head><body>
+    <a href="/about#staff">About Yale</a>
+    <a href="https://news.yale.edu/">News</a>
+    <a href="#top">Top</a>
+    <a href="mailto:info@yale.edu">Mail</a>
+  </body></html>`;
+
+  test('should return the transformed page with links through the proxy', async () => {
+    nock('https://www.yale.edu')
+      .get('/')
+      .reply(200, page, { 'Content-Type': 'text/html; charset=windows-1252' });
+
+    const response = await request(app).get('/proxy').query({ url: 'https://www.yale.edu/' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(response.headers['content-security-policy']).toMatch(/^sandbox /);
+
+    const $ = cheerio.load(response.text);
+    const origin = `http://${response.request.host}`;
+    const hrefs = $('a').map((i, el) => $(el).attr('href')).get();
+    expect($('title').text()).toBe('Fale');
+    expect(hrefs[0]).toBe(`${origin}/proxy?url=${encodeURIComponent('https://www.yale.edu/about')}#staff`);
+    expect(hrefs[1]).toBe(`${origin}/proxy?url=${encodeURIComponent('https://news.yale.edu/')}`);
+    expect(hrefs.slice(2)).toEqual(['#top', 'mailto:info@yale.edu']);
+  });
+
+  test('should pass non-HTML content through with its type', async () => {
+    nock('https://www.yale.edu')
+      .get('/feed')
+      .reply(200, '<rss><channel><title>Yale</title></channel></rss>', { 'Content-Type': 'application/rss+xml' });
+
+    const response = await request(app).get('/proxy').query({ url: 'https://www.yale.edu/feed' });
+
+    expect(response.headers['content-type']).toBe('application/rss+xml; charset=utf-8');
+    expect(response.text).toBe('<rss><channel><title>Fale</title></channel></rss>');
+  });
+
+  test('should show upstream error pages with their status', async () => {
+    nock('https://www.yale.edu')
+      .get('/missing')
+      .reply(404, '<title>Yale: Not Found</title>', { 'Content-Type': 'text/html' });
+
+    const response = await request(app).get('/proxy').query({ url: 'https://www.yale.edu/missing' });
+
+    expect(response.status).toBe(404);
+    expect(response.text).toContain('<title>Fale: Not Found</title>');
+  });
+
+  test('should report errors as a page, or as JSON when asked', async () => {
+    const missing = await request(app).get('/proxy');
+    expect(missing.status).toBe(400);
+    expect(missing.headers['content-type']).toMatch(/^text\/html/);
+    expect(missing.text).toContain('URL is required');
+
+    const blocked = await request(app)
+      .get('/proxy')
+      .query({ url: 'http://127.0.0.1/<script>' })
+      .set('Accept', 'application/json');
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.code).toBe('BLOCKED_DESTINATION');
+  });
+
+  test('POST /fetch should point links at /proxy when navigable is set', async () => {
+    nock('https://www.yale.edu')
+      .get('/')
+      .twice()
+      .reply(200, page);
+
+    const plain = await request(app).post('/fetch').send({ url: 'https://www.yale.edu/' });
+    expect(cheerio.load(plain.body.content)('a').first().attr('href')).toBe('https://www.yale.edu/about#staff');
+
+    const navigable = await request(app).post('/fetch').send({ url: 'https://www.yale.edu/', navigable: true });
+    expect(cheerio.load(navigable.body.content)('a').first().attr('href'))
+      .toMatch(/\/proxy\?url=https%3A%2F%2Fwww\.yale\.edu%2Fabout#staff$/);
+  });
+});
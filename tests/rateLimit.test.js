@@ -0,0 +1,154 @@
+const request = require('supertest');
+const nock = require('nock');
+const { createApp } = require('../app');
+const { fetchUpstream } = require('../lib/upstream');
+const { createRateLimiter, createConcurrencyLimiter } = require('../lib/rateLimit');
+
+describe('Rate limiting and concurrency', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    nock.cleanAll();
+  });
+
+  describe('createRateLimiter', () => {
+    test('should allow a burst, then refill at the configured rate', () => {
+      let now = 0;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const limiter = createRateLimiter({ requests: 6, window: 60000, burst: 2 });
+
+      expect(limiter.take('a')).toEqual({ allowed: true, remaining: 1, retryAfter: 0 });
+      expect(limiter.take('a').allowed).toBe(true);
+      expect(limiter.take('a')).toEqual({ allowed: false, remaining: 0, retryAfter: 10 });
+      expect(limiter.take('b').allowed).toBe(true);
+
+      now += 4000;
+      expect(limiter.take('a').retryAfter).toBe(6);
+      now += 6000;
+      expect(limiter.take('a').allowed).toBe(true);
+      expect(limiter.take('a').allowed).toBe(false);
+    });
+
+    test('should reject limits that allow nothing', () => {
+      expect(() => createRateLimiter({ requests: 0 })).toThrow(/positive/);
+      expect(() => createRateLimiter({ burst: 0 })).toThrow(/burst/);
+    });
+  });
+
+  describe('createConcurrencyLimiter', () => {
+    test('should queue fetches past the global and per-host limits', async () => {
+      const limiter = createConcurrencyLimiter({ maxFetches: 2, maxPerHost: 1 });
+      const started = [];
+      const acquire = host => limiter.acquire(host).then(release => {
+        started.push(host);
+        return release;
+      });
+
+      const releaseA = await acquire('a.example');
+      const secondA = acquire('A.example');
+      const releaseB = await acquire('b.example');
+      const c = acquire('c.example');
+      await Promise.resolve();
+      expect(started).toEqual(['a.example', 'b.example']);
+      expect(limiter.stats()).toEqual({ active: 2, queued: 2 });
+
+      releaseA();
+      releaseA();
+      const releaseA2 = await secondA;
+      expect(started).toEqual(['a.example', 'b.example', 'A.example']);
+
+      releaseB();
+      (await c)();
+      releaseA2();
+      expect(limiter.stats()).toEqual({ active: 0, queued: 0 });
+    });
+
+    test('should give up waiting when aborted', async () => {
+      const limiter = createConcurrencyLimiter({ maxFetches: 1 });
+      const release = await limiter.acquire('a.example');
+      const controller = new AbortController();
+      const waiting = limiter.acquire('b.example', controller.signal);
+
+      controller.abort(new Error('deadline'));
+      await expect(waiting).rejects.toThrow('deadline');
+      expect(limiter.stats()).toEqual({ active: 1, queued: 0 });
+      release();
+    });
+
+    test('fetchUpstream should hold a slot per hop and release it', async () => {
+      nock.disableNetConnect();
+      nock('https://www.yale.edu')
+        .get('/old').reply(301, '', { Location: 'https://news.yale.edu/' });
+      nock('https://news.yale.edu')
+        .get('/').delay(50).reply(200, 'Yale');
+      const limiter = createConcurrencyLimiter({ maxPerHost: 1 });
+      const hosts = [];
+      const acquire = limiter.acquire;
+      limiter.acquire = (host, signal) => {
+        hosts.push(host);
+        return acquire(host, signal);
+      };
+
+      const response = await fetchUpstream('https://www.yale.edu/old', { concurrency: limiter });
+
+      expect(response.data.toString()).toBe('Yale');
+      expect(hosts).toEqual(['www.yale.edu', 'news.yale.edu']);
+      expect(limiter.stats()).toEqual({ active: 0, queued: 0 });
+      nock.enableNetConnect();
+    });
+  });
+
+  describe('routes', () => {
+    beforeAll(() => {
+      nock.disableNetConnect();
+      nock.enableNetConnect('127.0.0.1');
+    });
+
+    afterAll(() => {
+      nock.enableNetConnect();
+    });
+
+    test('should answer 429 with Retry-After once a client runs out', async () => {
+      const app = createApp({ rateLimit: { requests: 1, window: 60000, burst: 2 } });
+      nock('https://www.yale.edu').get('/').twice().reply(200, '<p>Yale</p>');
+
+      expect((await request(app).post('/fetch').send({ url: 'https://www.yale.edu/' })).status).toBe(200);
+      expect((await request(app).post('/fetch').send({ url: 'https://www.yale.edu/' })).status).toBe(200);
+
+      const limited = await request(app).post('/fetch').send({ url: 'https://www.yale.edu/' });
+      expect(limited.status).toBe(429);
+      expect(limited.headers['retry-after']).toBe('60');
+      expect(limited.body).toEqual({
+        error: 'Too many requests; try again in 60 s',
+        code: 'RATE_LIMITED',
+        details: { retryAfter: 60 }
+      });
+
+      const page = await request(app).get('/proxy').query({ url: 'https://www.yale.edu/' });
+      expect(page.status).toBe(429);
+      expect(page.headers['content-type']).toMatch(/^text\/html/);
+
+      // Assets have their own, larger allowance
+      nock('https://www.yale.edu').get('/logo.png').reply(200, 'png', { 'Content-Type': 'image/png' });
+      expect((await request(app).get('/asset').query({ url: 'https://www.yale.edu/logo.png' })).status).toBe(200);
+    });
+
+    test('should count clients by forwarded address behind a trusted proxy', async () => {
+      const app = createApp({ trustProxy: true, rateLimit: { requests: 1, window: 60000, burst: 1 } });
+      const transform = ip => request(app)
+        .post('/transform')
+        .set('X-Forwarded-For', ip)
+        .send({ html: '<p>Yale</p>' });
+
+      expect((await transform('203.0.113.1')).status).toBe(200);
+      expect((await transform('203.0.113.1')).status).toBe(429);
+      expect((await transform('203.0.113.2')).status).toBe(200);
+    });
+
+    test('should not limit anything when disabled', async () => {
+      const app = createApp({ rateLimit: { enabled: false, burst: 1 } });
+      for (let i = 0; i < 3; i++) {
+        expect((await request(app).post('/transform').send({ html: '<p>Yale</p>' })).status).toBe(200);
+      }
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_RULES, RuleError, compileRules, applyRules, matchCase } = require('../lib/rules');
+const { loadConfig } = require('../lib/config');
+
+describe('Replacement rules engine', () => {
+  test('default rules reproduce the Yale to Fale replacement', () => {
+    const rules = compileRules(DEFAULT_RULES);
+
+    expect(applyRules('YALE University, Yale College and yale.edu', rules))
+      .toBe('FALE University, Fale College and fale.edu');
+  });
+
+  test('should apply rules in order', () => {
+    const rules = compileRules([
+      { find: 'cat', replace: 'dog' },
+      { find: 'dog', replace: 'wolf' }
+    ]);
+
+    expect(applyRules('cat and dog', rules)).toBe('wolf and wolf');
+  });
+
+  test('should treat literal rules as plain text', () => {
+    const rules = compileRules([{ find: 'a.b', replace: 'x' }]);
+
+    expect(applyRules('a.b acb', rules)).toBe('x acb');
+  });
+
+  test('should support regex rules with flags and replacement templates', () => {
+    const rules = compileRules([
+      { find: '(\\w+) University', replace: '$1 College', regex: true, flags: 'i' }
+    ]);
+
+    expect(applyRules('Yale UNIVERSITY', rules)).toBe('Yale College');
+  });
+
+  test('should respect the whole-word option', () => {
+    const rules = compileRules([{ find: 'Yale', replace: 'Fale', wholeWord: true }]);
+
+    expect(applyRules('Yale and Yalesville', rules)).toBe('Fale and Yalesville');
+  });
+
+  test('default rules catch every casing and keep it', () => {
+    const rules = compileRules(DEFAULT_RULES);
+
+    expect(applyRules('yAlE, YaLe and YALE', rules)).toBe('fAlE, FaLe and FALE');
+  });
+
+  test('default rules leave words that merely contain Yale alone', () => {
+    const rules = compileRules(DEFAULT_RULES);
+
+    expect(applyRules('Yalesville, New Yale and unYALEish', rules))
+      .toBe('Yalesville, New Fale and unYALEish');
+  });
+
+  test('default rules handle possessives', () => {
+    const rules = compileRules(DEFAULT_RULES);
+
+    expect(applyRules("Yale's campus and YALE’S library", rules))
+      .toBe("Fale's campus and FALE’S library");
+  });
+
+  test('whole-word matching respects Unicode word boundaries', () => {
+    const rules = compileRules([{ find: 'Yale', replace: 'Fale', wholeWord: true }]);
+
+    expect(applyRules('éYale Yaleñ (Yale) «Yale»', rules)).toBe('éYale Yaleñ (Fale) «Fale»');
+  });
+
+  test('rules can opt into matching inside words', () => {
+    const rules = compileRules([{ find: 'Yale', replace: 'Fale', preserveCase: true }]);
+
+    expect(applyRules('Yalesville and NEWYALE', rules)).toBe('Falesville and NEWFALE');
+  });
+
+  test('preserveCase applies to regex templates', () => {
+    const rules = compileRules([
+      { find: '(yale) (college)', replace: '$2 of $1', regex: true, preserveCase: true }
+    ]);
+
+    expect(applyRules('YALE COLLEGE', rules)).toBe('COLLEGE OF YALE');
+  });
+
+  test('matchCase maps casing onto replacements of any length', () => {
+    expect(matchCase('Yale', 'fale university')).toBe('Fale university');
+    expect(matchCase('yAlE', 'fales')).toBe('fAlEs');
+    expect(matchCase('123', 'Fale')).toBe('Fale');
+  });
+
+  test('should reject invalid rules', () => {
+    expect(() => compileRules('Yale')).toThrow(RuleError);
+    expect(() => compileRules([{ find: '', replace: 'x' }])).toThrow('Rule 0');
+    expect(() => compileRules([{ find: 'a', replace: 'b', flags: 'q' }])).toThrow('unsupported flags');
+    expect(() => compileRules([{ find: '(', replace: 'b', regex: true }])).toThrow('invalid pattern');
+  });
+
+  test('should load rules from a config file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'faleproxy-'));
+    const file = path.join(dir, 'faleproxy.config.json');
+    fs.writeFileSync(file, JSON.stringify({ rules: [{ find: 'Harvard', replace: 'Farvard' }] }));
+
+    try {
+      const config = loadConfig(file);
+      expect(applyRules('Harvard and Yale', compileRules(config.rules))).toBe('Farvard and Yale');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should fall back to the default rules without a config file', () => {
+    const cwd = process.cwd();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'faleproxy-'));
+    const previous = process.env.FALEPROXY_CONFIG;
+    delete process.env.FALEPROXY_CONFIG;
+
+    try {
+      process.chdir(dir);
+      expect(loadConfig().rules).toEqual(DEFAULT_RULES);
+    } finally {
+      process.chdir(cwd);
+      if (previous !== undefined) process.env.FALEPROXY_CONFIG = previous;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
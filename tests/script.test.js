@@ -369,6 +369,267 @@ describe('Client-side script functionality', () => {
     expect(errorMessage.textContent).toBe('Failed to fetch content');
   });
 
+  test('should explain structured errors from the server', async () => {
+    const form = document.getElementById('url-form');
+    const input = document.getElementById('url-input');
+    const errorMessage = document.getElementById('error-message');
+    
+    global.fetch.mockImplementationOnce(() => 
+      Promise.resolve({
+        ok: false,
+        json: () => Promise.resolve({
+          error: 'Failed to fetch content: could not resolve no-such-host.example',
+          code: 'DNS_FAILURE',
+          details: { hostname: 'no-such-host.example' }
+        })
+      })
+    );
+    
+    input.value = 'https://no-such-host.example';
+    form.dispatchEvent(new Event('submit'));
+    
+    // Wait for async operations
+    await Promise.resolve();
+    await Promise.resolve();
+    
+    expect(errorMessage.classList.contains('hidden')).toBe(false);
+    expect(errorMessage.textContent).toBe("Couldn't find no-such-host.example. Check the address for typos.");
+  });
+
+  test('should show the upstream status for upstream HTTP errors', async () => {
+    const form = document.getElementById('url-form');
+    const input = document.getElementById('url-input');
+    const errorMessage = document.getElementById('error-message');
+    
+    global.fetch.mockImplementationOnce(() => 
+      Promise.resolve({
+        ok: false,
+        json: () => Promise.resolve({
+          error: 'Failed to fetch content: upstream responded with HTTP 404',
+          code: 'UPSTREAM_HTTP_ERROR',
+          details: { status: 404, statusText: 'Not Found' }
+        })
+      })
+    );
+    
+    input.value = 'https://example.com/missing';
+    form.dispatchEvent(new Event('submit'));
+    
+    await Promise.resolve();
+    await Promise.resolve();
+    
+    expect(errorMessage.textContent).toBe('The site responded with an error (HTTP 404 Not Found).');
+  });
+
+  test('should ask the user to slow down when rate limited', async () => {
+    const form = document.getElementById('url-form');
+    const input = document.getElementById('url-input');
+    const errorMessage = document.getElementById('error-message');
+    
+    global.fetch.mockImplementationOnce(() => 
+      Promise.resolve({
+        ok: false,
+        json: () => Promise.resolve({
+          error: 'Too many requests; try again in 12 s',
+          code: 'RATE_LIMITED',
+          details: { retryAfter: 12 }
+        })
+      })
+    );
+    
+    input.value = 'https://example.com/';
+    form.dispatchEvent(new Event('submit'));
+    
+    await Promise.resolve();
+    await Promise.resolve();
+    
+    expect(errorMessage.textContent).toBe("You're sending requests too quickly. Please wait 12 seconds and try again.");
+  });
+
+  test('should ask for an API key and retry once signed in', async () => {
+    const form = document.getElementById('url-form');
+    const input = document.getElementById('url-input');
+    const keyForm = document.getElementById('key-form');
+    const keyInput = document.getElementById('api-key-input');
+    const errorMessage = document.getElementById('error-message');
+    
+    let signedIn = false;
+    global.fetch.mockImplementation(url => {
+      if (url === '/session/key') {
+        signedIn = true;
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ success: true, id: 'ui', name: '' })
+        });
+      }
+      if (!signedIn) {
+        return Promise.resolve({
+          ok: false,
+          json: () => Promise.resolve({ error: 'An API key is required', code: 'API_KEY_REQUIRED' })
+        });
+      }
+      return new Promise(() => {});
+    });
+    
+    input.value = 'https://example.com/';
+    form.dispatchEvent(new Event('submit'));
+    
+    await Promise.resolve();
+    await Promise.resolve();
+    
+    expect(errorMessage.textContent).toBe('This Faleproxy server needs an API key. Enter yours to sign in.');
+    expect(keyForm.classList.contains('hidden')).toBe(false);
+    
+    keyInput.value = ' fp_secret ';
+    keyForm.dispatchEvent(new Event('submit'));
+    
+    await Promise.resolve();
+    await Promise.resolve();
+    await Promise.resolve();
+    
+    const urls = global.fetch.mock.calls.map(([url]) => url);
+    expect(global.fetch).toHaveBeenCalledWith('/session/key', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ key: 'fp_secret' })
+    }));
+    expect(keyForm.classList.contains('hidden')).toBe(true);
+    expect(keyInput.value).toBe('');
+    // The fetch is retried after signing in
+    expect(urls.lastIndexOf('/fetch')).toBeGreaterThan(urls.indexOf('/session/key'));
+  });
+
+  test('should explain when a domain is outside the API key\'s allowed domains', async () => {
+    const form = document.getElementById('url-form');
+    const input = document.getElementById('url-input');
+    const errorMessage = document.getElementById('error-message');
+    
+    global.fetch.mockImplementationOnce(() => 
+      Promise.resolve({
+        ok: false,
+        json: () => Promise.resolve({
+          error: 'This API key may not fetch from example.com',
+          code: 'DOMAIN_NOT_ALLOWED',
+          details: { hostname: 'example.com' }
+        })
+      })
+    );
+    
+    input.value = 'https://example.com/';
+    form.dispatchEvent(new Event('submit'));
+    
+    await Promise.resolve();
+    await Promise.resolve();
+    
+    expect(errorMessage.textContent).toBe('Your API key may not fetch pages from example.com.');
+  });
+
+  test('should request and show upstream error pages when the option is ticked', async () => {
+    const form = document.getElementById('url-form');
+    const input = document.getElementById('url-input');
+    const upstreamStatus = document.getElementById('upstream-status');
+    
+    global.fetch.mockImplementationOnce(() => 
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({
+          success: true,
+          content: '<html><body>Page Not Found</body></html>',
+          title: 'Not Found',
+          originalUrl: 'https://example.com/missing',
+          upstreamStatus: 404
+        })
+      })
+    );
+    
+    document.getElementById('render-error-pages').checked = true;
+    input.value = 'https://example.com/missing';
+    form.dispatchEvent(new Event('submit'));
+    
+    await Promise.resolve();
+    await Promise.resolve();
+    
+    expect(fetch).toHaveBeenCalledWith('/fetch', expect.objectContaining({
+      body: JSON.stringify({ url: 'https://example.com/missing', renderErrorPages: true })
+    }));
+    expect(upstreamStatus.textContent).toBe('404');
+    expect(upstreamStatus.classList.contains('status-error')).toBe(true);
+  });
+
+  test('should show the redirect chain in the info bar', async () => {
+    const form = document.getElementById('url-form');
+    const input = document.getElementById('url-input');
+    const redirectInfo = document.getElementById('redirect-info');
+    
+    global.fetch.mockImplementationOnce(() => 
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({
+          success: true,
+          content: '<html><body>Home</body></html>',
+          title: 'Home',
+          originalUrl: 'https://yale.edu',
+          finalUrl: 'https://www.yale.edu/home/',
+          upstreamStatus: 200,
+          redirects: [{ url: 'https://yale.edu', status: 301, location: 'https://www.yale.edu/home/' }]
+        })
+      })
+    );
+    
+    input.value = 'https://yale.edu';
+    form.dispatchEvent(new Event('submit'));
+    
+    await Promise.resolve();
+    await Promise.resolve();
+    
+    expect(redirectInfo.classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('redirect-chain').textContent)
+      .toBe('https://yale.edu (301) → https://www.yale.edu/home/');
+  });
+
+  test('should show JSON responses as formatted text', async () => {
+    const form = document.getElementById('url-form');
+    const input = document.getElementById('url-input');
+    
+    global.fetch.mockImplementationOnce(() => 
+      Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({
+          success: true,
+          content: '{"name":"Fale"}',
+          title: '',
+          contentType: 'application/json; charset=utf-8',
+          upstreamStatus: 200
+        })
+      })
+    );
+    
+    input.value = 'https://api.example.com/info';
+    form.dispatchEvent(new Event('submit'));
+    
+    await Promise.resolve();
+    await Promise.resolve();
+    
+    const pre = document.querySelector('#content-display pre');
+    expect(pre).not.toBeNull();
+    expect(pre.textContent).toBe('{\n  "name": "Fale"\n}');
+    expect(document.querySelector('#content-display iframe')).toBeNull();
+  });
+
+  test('navigable mode should load the page through /proxy in the iframe', () => {
+    const form = document.getElementById('url-form');
+    const input = document.getElementById('url-input');
+    
+    document.getElementById('navigable').checked = true;
+    input.value = 'https://www.yale.edu/';
+    form.dispatchEvent(new Event('submit'));
+    
+    const iframe = document.querySelector('#content-display iframe');
+    expect(fetch).not.toHaveBeenCalled();
+    expect(iframe.getAttribute('src')).toBe('/proxy?url=https%3A%2F%2Fwww.yale.edu%2F');
+    expect(iframe.getAttribute('sandbox')).not.toContain('allow-same-origin');
+    expect(document.getElementById('result-container').classList.contains('hidden')).toBe(false);
+  });
+
   test('should handle network errors gracefully', async () => {
     // Get form and input elements
     const form = document.getElementById('url-form');
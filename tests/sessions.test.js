@@ -0,0 +1,196 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const nock = require('nock');
+const { CookieJar } = require('tough-cookie');
+const { createApp } = require('../app');
+const {
+  SESSION_COOKIE, parseCookieHeader, createSessionStore, listCookies, clearCookies
+} = require('../lib/sessions');
+
+describe('Proxy sessions', () => {
+  describe('session store', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('parseCookieHeader should read names and decoded values', () => {
+      expect(parseCookieHeader('a=1; faleproxy_session="abc"; b=%20x; a=2; junk'))
+        .toEqual({ a: '1', faleproxy_session: 'abc', b: ' x' });
+      expect(parseCookieHeader(undefined)).toEqual({});
+    });
+
+    test('should expire idle sessions and drop the least recently used', () => {
+      let now = 1000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const store = createSessionStore({ idleTimeout: 100, maxSessions: 2 });
+
+      const first = store.create();
+      const second = store.create();
+      expect(first.id).not.toBe(second.id);
+      expect(store.get(first.id)).toBe(first);
+
+      // second is now the least recently used
+      const third = store.create();
+      expect(store.get(second.id)).toBeNull();
+      expect(store.get(first.id)).toBe(first);
+      expect(store.size()).toBe(2);
+
+      now += 101;
+      expect(store.get(third.id)).toBeNull();
+      expect(store.get('unknown')).toBeNull();
+    });
+
+    test('listCookies and clearCookies should work per domain', async () => {
+      const jar = new CookieJar();
+      await jar.setCookie('consent=yes; Domain=yale.edu; Path=/', 'https://www.yale.edu/');
+      await jar.setCookie('region=us; Secure; HttpOnly', 'https://news.yale.edu/');
+      await jar.setCookie('id=1', 'https://example.com/');
+
+      expect(await listCookies(jar)).toEqual([
+        expect.objectContaining({ name: 'id', domain: 'example.com', hostOnly: true }),
+        expect.objectContaining({ name: 'region', domain: 'news.yale.edu', secure: true, httpOnly: true }),
+        expect.objectContaining({ name: 'consent', value: 'yes', domain: 'yale.edu', hostOnly: false, expires: null })
+      ]);
+
+      expect(await clearCookies(jar, 'news.yale.edu')).toBe(2);
+      expect((await listCookies(jar)).map(cookie => cookie.name)).toEqual(['id']);
+      expect(await clearCookies(jar)).toBe(1);
+      expect(await listCookies(jar)).toEqual([]);
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeAll(() => {
+      nock.disableNetConnect();
+      nock.enableNetConnect('127.0.0.1');
+    });
+
+    beforeEach(() => {
+      app = createApp();
+    });
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    afterAll(() => {
+      nock.enableNetConnect();
+    });
+
+    test('should store upstream cookies and replay them on later requests', async () => {
+      const agent = request.agent(app);
+      nock('https://www.yale.edu')
+        .get('/consent')
+        .reply(302, '', { Location: '/', 'Set-Cookie': 'consent=yes; Path=/' })
+        .get('/')
+        .matchHeader('cookie', 'consent=yes')
+        .reply(200, '<p>Yale</p>', { 'Set-Cookie': ['theme=dark', 'other=1; Domain=example.com'] })
+        .get('/next')
+        .matchHeader('cookie', 'consent=yes; theme=dark')
+        .reply(200, '<p>Yale again</p>')
+        .get('/logo.png')
+        .matchHeader('cookie', 'consent=yes; theme=dark')
+        .reply(200, 'png', { 'Content-Type': 'image/png' });
+
+      const first = await agent.post('/fetch').send({ url: 'https://www.yale.edu/consent' });
+      expect(first.status).toBe(200);
+      expect(first.headers['set-cookie'][0]).toMatch(new RegExp(`^${SESSION_COOKIE}=[\\w-]+; Path=/; HttpOnly; SameSite=Lax$`));
+
+      const next = await agent.get('/proxy').query({ url: 'https://www.yale.edu/next' });
+      expect(next.status).toBe(200);
+      expect(next.headers['set-cookie']).toBeUndefined();
+
+      const asset = await agent.get('/asset').query({ url: 'https://www.yale.edu/logo.png' });
+      expect(asset.status).toBe(200);
+      expect(nock.isDone()).toBe(true);
+
+      const cookies = await agent.get('/session/cookies');
+      expect(cookies.body.cookies.map(cookie => `${cookie.domain} ${cookie.name}=${cookie.value}`))
+        .toEqual(['www.yale.edu consent=yes', 'www.yale.edu theme=dark']);
+    });
+
+    test('should keep sessions apart and clear the jar', async () => {
+      const agent = request.agent(app);
+      nock('https://www.yale.edu')
+        .get('/')
+        .reply(200, '<p>Yale</p>', { 'Set-Cookie': 'consent=yes' })
+        .get('/')
+        .matchHeader('cookie', value => value === undefined)
+        .reply(200, '<p>Yale</p>');
+
+      await agent.post('/fetch').send({ url: 'https://www.yale.edu/' });
+      const stranger = await request(app).post('/fetch').send({ url: 'https://www.yale.edu/' });
+      expect(stranger.status).toBe(200);
+
+      const cleared = await agent.delete('/session/cookies').query({ domain: 'www.yale.edu' });
+      expect(cleared.body).toEqual({ success: true, removed: 1 });
+      expect((await agent.get('/session/cookies')).body.cookies).toEqual([]);
+
+      const anonymous = await request(app).get('/session/cookies');
+      expect(anonymous.body.cookies).toEqual([]);
+      expect(anonymous.headers['set-cookie']).toBeUndefined();
+
+      const invalid = await agent.delete('/session/cookies').query({ domain: ' ' });
+      expect(invalid.status).toBe(400);
+    });
+
+    test('should only start a session once an upstream sets a cookie', async () => {
+      const agent = request.agent(app);
+      nock('https://www.yale.edu')
+        .get('/').reply(200, '<p>Yale</p>')
+        .get('/moved').reply(302, '', { Location: '/missing', 'Set-Cookie': 'seen=1' })
+        .get('/missing').reply(404, '<p>Gone</p>')
+        .get('/again')
+        .matchHeader('cookie', 'seen=1')
+        .reply(200, '<p>Yale</p>');
+
+      const plain = await agent.post('/fetch').send({ url: 'https://www.yale.edu/' });
+      expect(plain.status).toBe(200);
+      expect(plain.headers['set-cookie']).toBeUndefined();
+
+      // Cookies set on the way to an error are kept too
+      const failed = await agent.post('/fetch').send({ url: 'https://www.yale.edu/moved' });
+      expect(failed.status).toBe(502);
+      expect(failed.headers['set-cookie'][0]).toMatch(new RegExp(`^${SESSION_COOKIE}=`));
+
+      expect((await agent.get('/proxy').query({ url: 'https://www.yale.edu/again' })).status).toBe(200);
+      expect(nock.isDone()).toBe(true);
+    });
+
+    test('should never start a session for API key callers', async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'faleproxy-keys-'));
+      try {
+        const keyed = createApp({
+          auth: { keys: [{ id: 'ci', key: 'secret' }], keysFile: path.join(directory, 'keys.json') }
+        });
+        nock('https://www.yale.edu')
+          .get('/').reply(200, '<p>Yale</p>', { 'Set-Cookie': 'consent=yes' });
+
+        const response = await request(keyed)
+          .post('/fetch')
+          .set('X-API-Key', 'secret')
+          .send({ url: 'https://www.yale.edu/' });
+        expect(response.status).toBe(200);
+        expect(response.headers['set-cookie']).toBeUndefined();
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    test('should not set cookies when sessions are disabled', async () => {
+      const stateless = createApp({ sessions: { enabled: false } });
+      nock('https://www.yale.edu')
+        .get('/')
+        .reply(200, '<p>Yale</p>', { 'Set-Cookie': 'consent=yes' });
+
+      const response = await request(stateless).post('/fetch').send({ url: 'https://www.yale.edu/' });
+      expect(response.status).toBe(200);
+      expect(response.headers['set-cookie']).toBeUndefined();
+      expect((await request(stateless).get('/session/cookies')).status).toBe(404);
+    });
+  });
+});
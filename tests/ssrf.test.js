@@ -0,0 +1,135 @@
+const request = require('supertest');
+const nock = require('nock');
+const { isBlockedAddress, createGuard } = require('../lib/ssrf');
+const { ProxyError } = require('../lib/errors');
+const { createApp } = require('../app');
+
+describe('SSRF guard', () => {
+  test('should recognise private and reserved addresses', () => {
+    [
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+      '100.100.100.200', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1',
+      '64:ff9b::a9fe:a9fe', '2002:a9fe:a9fe::1'
+    ].forEach(address => expect(isBlockedAddress(address)).toBe(true));
+
+    ['93.184.216.34', '8.8.8.8', '2606:4700::1111'].forEach(address => {
+      expect(isBlockedAddress(address)).toBe(false);
+    });
+  });
+
+  test('checkUrl should block IP literals and localhost names', () => {
+    const guard = createGuard();
+
+    [
+      'http://localhost:3001/',
+      'http://app.localhost/',
+      'http://127.0.0.1/',
+      'http://2130706433/',
+      'http://[::1]/',
+      'http://[::ffff:7f00:1]/',
+      'http://[64:ff9b::a9fe:a9fe]/',
+      'http://169.254.169.254/latest/meta-data/'
+    ].forEach(url => expect(() => guard.checkUrl(url)).toThrow(ProxyError));
+
+    expect(() => guard.checkUrl('https://www.yale.edu/')).not.toThrow();
+  });
+
+  test('lookup should reject hostnames that resolve to blocked addresses', done => {
+    createGuard().lookup('localhost', {}, error => {
+      expect(error).toBeInstanceOf(ProxyError);
+      expect(error.status).toBe(403);
+      expect(error.code).toBe('BLOCKED_DESTINATION');
+      expect(error.details.hostname).toBe('localhost');
+      done();
+    });
+  });
+
+  test('allowlisted hosts and ranges should pass', done => {
+    const guard = createGuard({ allowHosts: ['localhost', '*.corp.example', '10.0.0.0/8'] });
+
+    expect(() => guard.checkUrl('http://localhost/')).not.toThrow();
+    expect(() => guard.checkUrl('http://LOCALHOST./')).not.toThrow();
+    expect(() => guard.checkUrl('http://intranet.corp.example./')).not.toThrow();
+    expect(() => guard.checkUrl('http://10.20.30.40/')).not.toThrow();
+    expect(() => guard.checkUrl('http://192.168.0.1/')).toThrow(ProxyError);
+
+    guard.lookup('localhost', { all: true }, (error, addresses) => {
+      expect(error).toBeNull();
+      expect(addresses.length).toBeGreaterThan(0);
+      done();
+    });
+  });
+});
+
+describe('POST /fetch SSRF protection', () => {
+  beforeAll(() => {
+    nock.disableNetConnect();
+    nock.enableNetConnect('127.0.0.1');
+  });
+
+  afterAll(() => {
+    nock.cleanAll();
+    nock.enableNetConnect();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should refuse loopback and metadata addresses with 403', async () => {
+    const app = createApp();
+
+    for (const url of ['http://localhost:3001', 'http://169.254.169.254/latest/meta-data/']) {
+      const response = await request(app).post('/fetch').send({ url });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('BLOCKED_DESTINATION');
+    }
+  });
+
+  test('should check every redirect hop', async () => {
+    nock('https://redirector.example')
+      .get('/')
+      .reply(302, '', { Location: 'http://192.168.0.10/admin' });
+
+    const response = await request(createApp())
+      .post('/fetch')
+      .send({ url: 'https://redirector.example/' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('BLOCKED_DESTINATION');
+    expect(response.body.details.hostname).toBe('192.168.0.10');
+  });
+
+  test('should follow redirects to public hosts', async () => {
+    nock('https://redirector.example')
+      .get('/')
+      .reply(301, '', { Location: '/home' })
+      .get('/home')
+      .reply(200, '<title>Yale</title>');
+
+    const response = await request(createApp())
+      .post('/fetch')
+      .send({ url: 'https://redirector.example/' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.title).toBe('Fale');
+    expect(response.body.finalUrl).toBe('https://redirector.example/home');
+    expect(response.body.redirects).toEqual([
+      { url: 'https://redirector.example/', status: 301, location: 'https://redirector.example/home' }
+    ]);
+  });
+
+  test('should allow hosts from the configured allowlist', async () => {
+    nock('http://10.0.0.5')
+      .get('/')
+      .reply(200, '<title>Intranet Yale</title>');
+
+    const response = await request(createApp({ ssrf: { allowHosts: ['10.0.0.0/8'] } }))
+      .post('/fetch')
+      .send({ url: 'http://10.0.0.5/' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.title).toBe('Intranet Fale');
+  });
+});
@@ -0,0 +1,178 @@
+const cheerio = require('cheerio');
+const { DEFAULT_RULES, RuleError, compileRules } = require('../lib/rules');
+const {
+  validateSelectors,
+  replaceDocumentText,
+  replaceAttributeText
+} = require('../lib/textReplacer');
+const { sampleHtmlWithYale } = require('./test-utils');
+
+const replace = (html, rules = DEFAULT_RULES) => {
+  const $ = cheerio.load(html);
+  replaceDocumentText($, compileRules(rules));
+  return $;
+};
+
+describe('Document text replacement', () => {
+  test('should replace text but not scripts or attributes', () => {
+    const $ = replace(sampleHtmlWithYale);
+
+    expect($('title').text()).toBe('Fale University Test Page');
+    expect($('h1').text()).toBe('Welcome to Fale University');
+    expect($('a').first().attr('href')).toBe('https://www.yale.edu/about');
+    expect($('img').attr('alt')).toBe('Yale Logo');
+    expect($('script').html()).toContain('name: "Yale University"');
+  });
+
+  test('should match text split across inline elements', () => {
+    const $ = replace('<p>Ya<b>le</b> and Y<span>ale</span> and <em>Y</em>a<i>l</i>e</p>');
+
+    expect($('p').html()).toBe('Fa<b>le</b> and F<span>ale</span> and <em>F</em>a<i>l</i>e');
+  });
+
+  test('should keep the casing of split matches', () => {
+    const $ = replace('<h2>YA<mark>LE</mark> and yA<a href="/x">lE</a></h2>');
+
+    expect($('h2').html()).toBe('FA<mark>LE</mark> and fA<a href="/x">lE</a>');
+  });
+
+  test('should put longer replacements in the last covered node', () => {
+    const $ = replace('<p>Ya<b>le</b> rocks</p>', [{ find: 'Yale', replace: 'Fale University' }]);
+
+    expect($('p').html()).toBe('Fa<b>le University</b> rocks');
+  });
+
+  test('should not join text across block elements', () => {
+    const $ = replace('<div>Ya<p>le</p></div><ul><li>Ya</li><li>le</li></ul>');
+
+    expect($('div').text()).toBe('Yale');
+    expect($('ul').text()).toBe('Yale');
+  });
+
+  test('should apply word boundaries across inline elements', () => {
+    const $ = replace('<p>Ya<b>le</b>sville</p>');
+
+    expect($('p').html()).toBe('Ya<b>le</b>sville');
+  });
+
+  test('should not re-parse replaced text as HTML', () => {
+    const $ = replace('<p>Yale &lt;script&gt;alert(1)&lt;/script&gt;</p>');
+
+    expect($('p script').length).toBe(0);
+    expect($('p').text()).toBe('Fale <script>alert(1)</script>');
+  });
+
+  test('should apply each rule exactly once to nested text', () => {
+    const $ = replace('<div><section><p>Yale</p></section></div>', [
+      { find: 'Yale', replace: 'Yale University' }
+    ]);
+
+    expect($('p').text()).toBe('Yale University');
+  });
+});
+
+describe('Attribute and meta text replacement', () => {
+  const replaceAttributes = html => {
+    const $ = cheerio.load(html);
+    replaceAttributeText($, compileRules(DEFAULT_RULES));
+    return $;
+  };
+
+  test('should rewrite human-readable attributes', () => {
+    const $ = replaceAttributes(`
+      <img src="https://www.yale.edu/logo.png" alt="Yale Logo">
+      <a href="https://yale.edu/yale" title="Visit Yale" aria-label="Yale home">Home</a>
+      <input type="search" placeholder="Search Yale" value="yale">
+      <input type="submit" value="Join Yale">
+    `);
+
+    expect($('img').attr('alt')).toBe('Fale Logo');
+    expect($('img').attr('src')).toBe('https://www.yale.edu/logo.png');
+    expect($('a').attr('title')).toBe('Visit Fale');
+    expect($('a').attr('aria-label')).toBe('Fale home');
+    expect($('a').attr('href')).toBe('https://yale.edu/yale');
+    expect($('input[type=search]').attr('placeholder')).toBe('Search Fale');
+    expect($('input[type=search]').attr('value')).toBe('yale');
+    expect($('input[type=submit]').attr('value')).toBe('Join Fale');
+  });
+
+  test('should leave the value of <button> alone, since only the form submits it', () => {
+    const $ = replaceAttributes('<button name="school" value="Yale">Go</button>');
+
+    expect($('button').attr('value')).toBe('Yale');
+  });
+
+  test('should rewrite description and social meta tags but not their URLs', () => {
+    const $ = replaceAttributes(`
+      <meta name="description" content="About Yale">
+      <meta property="og:title" content="Yale University">
+      <meta property="og:description" content="Yale in New Haven">
+      <meta property="og:url" content="https://www.yale.edu/">
+      <meta property="og:image" content="https://www.yale.edu/yale.png">
+      <meta name="twitter:title" content="Yale">
+      <meta name="twitter:image" content="https://www.yale.edu/yale.png">
+      <meta name="twitter:image:alt" content="Yale seal">
+      <meta name="twitter:app:url:iphone" content="yale://home">
+      <meta name="keywords" content="yale">
+    `);
+    const content = selector => $(selector).attr('content');
+
+    expect(content('meta[name=description]')).toBe('About Fale');
+    expect(content('meta[property="og:title"]')).toBe('Fale University');
+    expect(content('meta[property="og:description"]')).toBe('Fale in New Haven');
+    expect(content('meta[property="og:url"]')).toBe('https://www.yale.edu/');
+    expect(content('meta[property="og:image"]')).toBe('https://www.yale.edu/yale.png');
+    expect(content('meta[name="twitter:title"]')).toBe('Fale');
+    expect(content('meta[name="twitter:image"]')).toBe('https://www.yale.edu/yale.png');
+    expect(content('meta[name="twitter:image:alt"]')).toBe('Fale seal');
+    expect(content('meta[name="twitter:app:url:iphone"]')).toBe('yale://home');
+    expect(content('meta[name=keywords]')).toBe('yale');
+  });
+});
+
+describe('Exclusion zones', () => {
+  test('should skip code, form input and editable regions by default', () => {
+    const $ = replace(`
+      <p>Yale <code>yale.config()</code></p>
+      <pre>cd yale</pre>
+      <textarea>Yale</textarea>
+      <div contenteditable="true">Yale</div>
+      <div contenteditable="false">Yale</div>
+    `);
+
+    expect($('p').html()).toBe('Fale <code>yale.config()</code>');
+    expect($('pre').text()).toBe('cd yale');
+    expect($('textarea').text()).toBe('Yale');
+    expect($('[contenteditable=true]').text()).toBe('Yale');
+    expect($('[contenteditable=false]').text()).toBe('Fale');
+  });
+
+  test('should honour data-faleproxy-skip', () => {
+    const $ = replace('<div data-faleproxy-skip><p>Yale <b>Yale</b></p></div><p id="after">Yale</p>');
+
+    expect($('[data-faleproxy-skip]').text()).toBe('Yale Yale');
+    expect($('#after').text()).toBe('Fale');
+  });
+
+  test('should skip subtrees matched by caller selectors', () => {
+    const $ = cheerio.load(`
+      <p class="quote" title="Yale">Yale <span>Yale</span></p>
+      <p id="body" title="Yale">Yale</p>
+    `);
+    const rules = compileRules(DEFAULT_RULES);
+    replaceDocumentText($, rules, { exclude: ['.quote'] });
+    replaceAttributeText($, rules, { exclude: ['.quote'] });
+
+    expect($('.quote').text()).toBe('Yale Yale');
+    expect($('.quote').attr('title')).toBe('Yale');
+    expect($('#body').text()).toBe('Fale');
+    expect($('#body').attr('title')).toBe('Fale');
+  });
+
+  test('should reject invalid selectors', () => {
+    expect(() => validateSelectors('.quote')).toThrow(RuleError);
+    expect(() => validateSelectors([''])).toThrow(RuleError);
+    expect(() => validateSelectors(['p['])).toThrow('Invalid exclude selector "p["');
+    expect(() => validateSelectors(['.quote', '#main > p'])).not.toThrow();
+  });
+});
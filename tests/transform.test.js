@@ -0,0 +1,92 @@
+const nock = require('nock');
+const cheerio = require('cheerio');
+const { transformHtml, fetchAndTransform, RuleError } = require('../lib');
+const { sampleHtmlWithYale } = require('./test-utils');
+
+describe('Transformer library', () => {
+  beforeAll(() => {
+    nock.disableNetConnect();
+  });
+
+  afterAll(() => {
+    nock.cleanAll();
+    nock.enableNetConnect();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('transformHtml should replace text and return the title', () => {
+    const { content, title } = transformHtml(sampleHtmlWithYale);
+    const $ = cheerio.load(content);
+
+    expect(title).toBe('Fale University Test Page');
+    expect($('h1').text()).toBe('Welcome to Fale University');
+    expect($('a').first().attr('href')).toBe('https://www.yale.edu/about');
+  });
+
+  test('transformHtml should only touch URLs when given a base URL', () => {
+    const html = '<html><head></head><body><img src="logo.png"></body></html>';
+
+    expect(cheerio.load(transformHtml(html).content)('img').attr('src')).toBe('logo.png');
+
+    const $ = cheerio.load(transformHtml(html, { baseUrl: 'https://www.yale.edu/about/' }).content);
+    expect($('base').attr('href')).toBe('https://www.yale.edu/about/');
+    expect($('img').attr('src')).toBe('https://www.yale.edu/about/logo.png');
+  });
+
+  test('transformHtml should accept rules and options', () => {
+    const { content } = transformHtml('<p title="Harvard">Harvard and Yale</p>', {
+      rules: [{ find: 'Harvard', replace: 'Farvard' }],
+      replaceAttributes: true
+    });
+
+    expect(content).toContain('<p title="Farvard">Farvard and Yale</p>');
+  });
+
+  test('transformHtml should throw RuleError for invalid options', () => {
+    expect(() => transformHtml('<p></p>', { rules: [{ find: '' }] })).toThrow(RuleError);
+    expect(() => transformHtml('<p></p>', { exclude: ['p['] })).toThrow(RuleError);
+  });
+
+  test('fetchAndTransform should download and transform a page', async () => {
+    nock('https://example.com')
+      .get('/')
+      .reply(200, sampleHtmlWithYale);
+
+    const result = await fetchAndTransform('example.com');
+
+    expect(result.url).toBe('https://example.com');
+    expect(result.title).toBe('Fale University Test Page');
+    expect(result.content).toContain('<base href="https://example.com">');
+  });
+
+  test('fetchAndTransform should resolve URLs against the final redirected URL', async () => {
+    nock('https://yale.edu')
+      .get('/')
+      .reply(301, '', { Location: 'https://www.yale.edu/' });
+    nock('https://www.yale.edu')
+      .get('/')
+      .reply(302, '', { Location: '/home/' })
+      .get('/home/')
+      .reply(200, '<html><head></head><body><a href="about">Yale</a></body></html>');
+
+    const result = await fetchAndTransform('yale.edu');
+
+    expect(result.url).toBe('https://yale.edu');
+    expect(result.finalUrl).toBe('https://www.yale.edu/home/');
+    expect(result.redirects).toEqual([
+      { url: 'https://yale.edu', status: 301, location: 'https://www.yale.edu/' },
+      { url: 'https://www.yale.edu/', status: 302, location: 'https://www.yale.edu/home/' }
+    ]);
+    expect(result.content).toContain('<base href="https://www.yale.edu/home/">');
+    expect(result.content).toContain('href="https://www.yale.edu/home/about"');
+  });
+
+  test('fetchAndTransform should validate options before fetching', async () => {
+    await expect(fetchAndTransform('https://example.com/', { rules: 'Yale' }))
+      .rejects.toThrow(RuleError);
+    expect(nock.isDone()).toBe(true);
+  });
+});
@@ -0,0 +1,111 @@
+const http = require('http');
+const net = require('net');
+const { fetchUpstream } = require('../lib/upstream');
+const { ProxyError } = require('../lib/errors');
+
+// Upstream fetch limits, exercised against real local servers (nock does not
+// open sockets, so it cannot simulate connect timeouts)
+describe('Upstream fetch limits', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/slow') {
+        setTimeout(() => res.end('<p>late</p>'), 1000);
+      } else if (req.url === '/slow-body') {
+        res.write('<p>');
+        setTimeout(() => res.end('late</p>'), 1000);
+      } else if (req.url === '/big') {
+        res.end('x'.repeat(2048));
+      } else if (req.url === '/big-chunked') {
+        res.write('x'.repeat(1024));
+        res.end('x'.repeat(1024));
+      } else if (req.url.startsWith('/loop')) {
+        res.writeHead(302, { Location: '/loop' });
+        res.end();
+      } else if (req.url === '/gone') {
+        res.writeHead(410, { 'Content-Type': 'text/html' });
+        res.end('<p>Gone</p>');
+      } else if (req.url === '/hop') {
+        res.writeHead(301, { Location: '/page' });
+        res.end();
+      } else {
+        res.end('<p>Yale</p>');
+      }
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  const expectProxyError = async (promise, code, status) => {
+    const error = await promise.catch(e => e);
+    expect(error).toBeInstanceOf(ProxyError);
+    expect(error.code).toBe(code);
+    expect(error.status).toBe(status);
+    return error;
+  };
+
+  test('should read the body into a Buffer', async () => {
+    const response = await fetchUpstream(`${baseUrl}/hop`);
+
+    expect(response.status).toBe(200);
+    expect(response.data.toString()).toBe('<p>Yale</p>');
+    expect(response.finalUrl).toBe(`${baseUrl}/page`);
+  });
+
+  test('should resolve with error responses only when allowErrorStatus is set', async () => {
+    await expectProxyError(fetchUpstream(`${baseUrl}/gone`), 'UPSTREAM_HTTP_ERROR', 502);
+
+    const response = await fetchUpstream(`${baseUrl}/gone`, { allowErrorStatus: true });
+    expect(response.status).toBe(410);
+    expect(response.data.toString()).toBe('<p>Gone</p>');
+  });
+
+  test('should time out slow responses with UPSTREAM_TIMEOUT', async () => {
+    await expectProxyError(fetchUpstream(`${baseUrl}/slow`, { limits: { timeout: 200 } }), 'UPSTREAM_TIMEOUT', 504);
+    await expectProxyError(fetchUpstream(`${baseUrl}/slow-body`, { limits: { timeout: 200 } }), 'UPSTREAM_TIMEOUT', 504);
+  });
+
+  test('should abort oversized bodies with BODY_TOO_LARGE', async () => {
+    const limits = { maxBodySize: 1500 };
+
+    const error = await expectProxyError(fetchUpstream(`${baseUrl}/big`, { limits }), 'BODY_TOO_LARGE', 502);
+    expect(error.details.maxBodySize).toBe(1500);
+    await expectProxyError(fetchUpstream(`${baseUrl}/big-chunked`, { limits }), 'BODY_TOO_LARGE', 502);
+  });
+
+  test('should stream bodies and fail them once they pass the size limit', async () => {
+    const response = await fetchUpstream(`${baseUrl}/big-chunked`, { limits: { maxBodySize: 1500 }, stream: true });
+    const error = await new Promise(resolve => {
+      response.data.on('data', () => {});
+      response.data.on('error', resolve);
+    });
+
+    expect(error).toBeInstanceOf(ProxyError);
+    expect(error.code).toBe('BODY_TOO_LARGE');
+  });
+
+  test('should stop redirect loops with TOO_MANY_REDIRECTS', async () => {
+    await expectProxyError(fetchUpstream(`${baseUrl}/loop`, { limits: { maxRedirects: 3 } }), 'TOO_MANY_REDIRECTS', 502);
+  });
+
+  test('should give up on connections that never complete with CONNECT_TIMEOUT', async () => {
+    // A plain TCP server never finishes the TLS handshake
+    const silent = net.createServer(() => {});
+    await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const url = `https://127.0.0.1:${silent.address().port}/`;
+      await expectProxyError(fetchUpstream(url, { limits: { connectTimeout: 200 } }), 'CONNECT_TIMEOUT', 504);
+    } finally {
+      silent.close();
+    }
+  });
+});
@@ -0,0 +1,79 @@
+const cheerio = require('cheerio');
+const { resolveUrl, parseSrcset, resolveSrcset } = require('../lib/urls');
+const { transformHtml } = require('../lib');
+
+const base = 'https://www.yale.edu/news/';
+
+describe('URL rewriting', () => {
+  test('resolveUrl should resolve relative URLs only', () => {
+    expect(resolveUrl('photo.jpg', base)).toBe('https://www.yale.edu/news/photo.jpg');
+    expect(resolveUrl('/about', base)).toBe('https://www.yale.edu/about');
+    expect(resolveUrl('httpfoo/bar', base)).toBe('https://www.yale.edu/news/httpfoo/bar');
+    expect(resolveUrl('https-guide.html', base)).toBe('https://www.yale.edu/news/https-guide.html');
+
+    ['https://example.com/', 'HTTP://EXAMPLE.COM/', '//cdn.example.com/a.js', '#top',
+      'mailto:info@yale.edu', 'tel:+1203', 'javascript:void(0)', 'data:image/png;base64,AAAA', '']
+      .forEach(url => expect(resolveUrl(url, base)).toBe(url));
+  });
+
+  test('parseSrcset should split candidates and keep descriptors', () => {
+    expect(parseSrcset('small.jpg 480w, large.jpg 1080w')).toEqual([
+      { url: 'small.jpg', descriptor: '480w' },
+      { url: 'large.jpg', descriptor: '1080w' }
+    ]);
+    expect(parseSrcset('a.png, b.png 2x')).toEqual([
+      { url: 'a.png', descriptor: '' },
+      { url: 'b.png', descriptor: '2x' }
+    ]);
+    // Without whitespace the comma is part of the URL, as browsers read it
+    expect(parseSrcset('a.png,b.png 2x')).toEqual([{ url: 'a.png,b.png', descriptor: '2x' }]);
+    expect(parseSrcset('data:image/png;base64,AAA= 1x, hi,res.png 2x')).toEqual([
+      { url: 'data:image/png;base64,AAA=', descriptor: '1x' },
+      { url: 'hi,res.png', descriptor: '2x' }
+    ]);
+  });
+
+  test('resolveSrcset should resolve every candidate', () => {
+    expect(resolveSrcset(' img/a.jpg 1x,\n img/b.jpg 2x ', base))
+      .toBe('https://www.yale.edu/news/img/a.jpg 1x, https://www.yale.edu/news/img/b.jpg 2x');
+  });
+
+  test('transformHtml should rewrite every URL attribute', () => {
+    const html = `<html><head><link rel="preload" as="image" imagesrcset="hero.jpg 1x, hero@2x.jpg 2x"></head><body>
+      <img src="a.jpg" srcset="a.jpg 1x, a@2x.jpg 2x" data-srcset="lazy.jpg 1x">
+      <video poster="poster.jpg"><source src="movie.mp4"></video>
+      <form><button formaction="/search">Go</button></form>
+      <blockquote cite="quotes/1">Yale</blockquote>
+      <table background="bg.png"><tr><td>x</td></tr></table>
+      <object data="movie.swf"></object>
+      <div data="not-a-url"></div>
+      <svg><use xlink:href="icons.svg#logo"></use></svg>
+      <a href="httpfoo/bar">link</a>
+    </body></html>`;
+
+    const $ = cheerio.load(transformHtml(html, { baseUrl: base }).content);
+
+    expect($('link').attr('imagesrcset'))
+      .toBe('https://www.yale.edu/news/hero.jpg 1x, https://www.yale.edu/news/hero@2x.jpg 2x');
+    expect($('img').attr('srcset'))
+      .toBe('https://www.yale.edu/news/a.jpg 1x, https://www.yale.edu/news/a@2x.jpg 2x');
+    expect($('img').attr('data-srcset')).toBe('https://www.yale.edu/news/lazy.jpg 1x');
+    expect($('video').attr('poster')).toBe('https://www.yale.edu/news/poster.jpg');
+    expect($('source').attr('src')).toBe('https://www.yale.edu/news/movie.mp4');
+    expect($('button').attr('formaction')).toBe('https://www.yale.edu/search');
+    expect($('blockquote').attr('cite')).toBe('https://www.yale.edu/news/quotes/1');
+    expect($('table').attr('background')).toBe('https://www.yale.edu/news/bg.png');
+    expect($('object').attr('data')).toBe('https://www.yale.edu/news/movie.swf');
+    expect($('div').attr('data')).toBe('not-a-url');
+    expect($('use').attr('href')).toBe('https://www.yale.edu/news/icons.svg#logo');
+    expect($('a').attr('href')).toBe('https://www.yale.edu/news/httpfoo/bar');
+  });
+
+  test('transformHtml should resolve against the page\'s own <base href>', () => {
+    const html = '<html><head><base href="/static/"></head><body><img src="logo.png"></body></html>';
+
+    const $ = cheerio.load(transformHtml(html, { baseUrl: base }).content);
+
+    expect($('img').attr('src')).toBe('https://www.yale.edu/static/logo.png');
+  });
+});